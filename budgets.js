@@ -0,0 +1,101 @@
+// budgets.js
+const logger = require('./logger');
+const keyStore = require('./keyStore');
+const { normalizeBudgets } = keyStore;
+
+// Daily and monthly spend budgets, per user and proxy-wide. Spend comes from
+// the per-day cost totals UsageLogger keeps in each user summary.
+class BudgetTracker {
+    constructor() {
+        this.defaultMode = process.env.BUDGET_MODE === 'soft' ? 'soft' : 'hard';
+        this.userDefaults = normalizeBudgets({
+            daily: process.env.BUDGET_USER_DAILY,
+            monthly: process.env.BUDGET_USER_MONTHLY
+        });
+        this.globalDefaults = normalizeBudgets({
+            daily: process.env.BUDGET_GLOBAL_DAILY,
+            monthly: process.env.BUDGET_GLOBAL_MONTHLY
+        });
+    }
+
+    // Admin-configured budgets take precedence over the env defaults
+    getUserBudget(userId) {
+        return mergeBudgets(this.userDefaults, keyStore.getUser(userId)?.budgets, this.defaultMode);
+    }
+
+    getGlobalBudget() {
+        return mergeBudgets(this.globalDefaults, keyStore.getSettings().budgets, this.defaultMode);
+    }
+
+    // Spend against budget for one user and for the whole proxy. Runs on
+    // every request, so it sums the current month's rollups instead of
+    // loading summaries, and skips the proxy-wide sum when no limit is set.
+    async getStatus(userId) {
+        const userBudget = this.getUserBudget(userId);
+        const globalBudget = this.getGlobalBudget();
+        const noSpend = { daily: 0, monthly: 0 };
+
+        return {
+            user: buildStatus(userBudget, hasLimit(userBudget) ? await logger.getSpend(userId) : noSpend),
+            global: buildStatus(globalBudget, hasLimit(globalBudget) ? await logger.getSpend() : noSpend)
+        };
+    }
+
+    // Works from already-loaded summaries so analytics routes can reuse one read
+    getUserStatus(allStats, userId) {
+        const spend = sumSpend([allStats[userId]]);
+        return buildStatus(this.getUserBudget(userId), spend);
+    }
+
+    getGlobalStatus(allStats) {
+        const spend = sumSpend(Object.values(allStats));
+        return buildStatus(this.getGlobalBudget(), spend);
+    }
+}
+
+function mergeBudgets(defaults, overrides, defaultMode) {
+    return {
+        daily: overrides?.daily ?? defaults.daily,
+        monthly: overrides?.monthly ?? defaults.monthly,
+        mode: overrides?.mode || defaults.mode || defaultMode
+    };
+}
+
+function hasLimit(budget) {
+    return budget.daily !== null || budget.monthly !== null;
+}
+
+// Today's and this month's spend (UTC, matching the log file dates)
+function sumSpend(summaries) {
+    const today = new Date().toISOString().split('T')[0];
+    const month = today.substring(0, 7);
+    const spend = { daily: 0, monthly: 0 };
+
+    for (const summary of summaries) {
+        for (const [date, usage] of Object.entries(summary?.dailyUsage || {})) {
+            if (date === today) spend.daily += usage.cost;
+            if (date.startsWith(month)) spend.monthly += usage.cost;
+        }
+    }
+
+    return spend;
+}
+
+function buildStatus(budget, spend) {
+    const period = (limit, spent) => ({
+        limit,
+        spent: parseFloat(spent.toFixed(4)),
+        remaining: limit === null ? null : parseFloat(Math.max(0, limit - spent).toFixed(4)),
+        exceeded: limit !== null && spent >= limit
+    });
+
+    const status = {
+        mode: budget.mode,
+        daily: period(budget.daily, spend.daily),
+        monthly: period(budget.monthly, spend.monthly)
+    };
+    status.exceeded = status.daily.exceeded || status.monthly.exceeded;
+    return status;
+}
+
+module.exports = new BudgetTracker();
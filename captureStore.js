@@ -0,0 +1,185 @@
+// captureStore.js
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const keyStore = require('./keyStore');
+const { redact } = require('./redaction');
+const log = require('./log');
+
+// Request IDs come from the client's X-Request-Id header, so they are not
+// unique: two users (or one client reusing IDs) can send the same one
+const TABLE_COLUMNS = `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        user_id TEXT,
+        key_id TEXT,
+        endpoint TEXT,
+        model TEXT,
+        status INTEGER,
+        reason TEXT NOT NULL,
+        request TEXT,
+        response TEXT
+`;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS captures (${TABLE_COLUMNS});
+    CREATE INDEX IF NOT EXISTS idx_captures_request ON captures (request_id);
+    CREATE INDEX IF NOT EXISTS idx_captures_timestamp ON captures (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_captures_user ON captures (user_id, timestamp);
+`;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Opt-in capture of request and response bodies for debugging. A request is
+// captured when its user has `capture: true` in their admin settings, or by
+// sampling with CAPTURE_SAMPLE_RATE (0-1, default 0: off). Bodies are
+// redacted (see redaction.js) before they are written, kept for
+// CAPTURE_RETENTION_DAYS (default 7) and looked up by request ID through
+// the admin API.
+class CaptureStore {
+    constructor() {
+        const logsDir = process.env.LOGS_DIR || path.join('/tmp', 'logs');
+        this.dbFile = process.env.CAPTURE_DB_FILE || path.join(logsDir, 'captures.db');
+        this.sampleRate = Math.min(1, Math.max(0, parseFloat(process.env.CAPTURE_SAMPLE_RATE) || 0));
+        this.retentionDays = parseFloat(process.env.CAPTURE_RETENTION_DAYS) || 7;
+        this.database = null;
+        this.pruneTimer = null;
+
+        // An existing store is opened straight away so expired captures are
+        // pruned even if nothing is captured after a restart
+        if (fs.existsSync(this.dbFile)) this.open();
+    }
+
+    // Otherwise opened on first use, so deployments that never capture get no database file
+    get db() {
+        return this.database || this.open();
+    }
+
+    open() {
+        if (!this.database) {
+            fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
+            this.database = new Database(this.dbFile);
+            this.database.pragma('journal_mode = WAL');
+            migrate(this.database);
+            this.database.exec(SCHEMA);
+            this.prune();
+
+            this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+            this.pruneTimer.unref();
+        }
+        return this.database;
+    }
+
+    // Why a request should be captured ('user' or 'sampled'), or null
+    shouldCapture(userId) {
+        if (keyStore.getUser(userId)?.capture) return 'user';
+        if (this.sampleRate > 0 && Math.random() < this.sampleRate) return 'sampled';
+        return null;
+    }
+
+    // Called by loggingMiddleware once per client request. Failures are
+    // logged and swallowed: capturing must never break the request.
+    capture({ requestId, userId, keyId, endpoint, model, status, request, response }) {
+        if (!requestId) return;
+
+        const reason = this.shouldCapture(userId);
+        if (!reason) return;
+
+        try {
+            this.db.prepare(`
+                INSERT INTO captures (
+                    request_id, timestamp, user_id, key_id, endpoint, model, status, reason, request, response
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                requestId,
+                new Date().toISOString(),
+                userId || null,
+                keyId || null,
+                endpoint || null,
+                model || null,
+                Number.isInteger(status) ? status : null,
+                reason,
+                JSON.stringify(redact(request ?? null)),
+                JSON.stringify(redact(response ?? null))
+            );
+        } catch (error) {
+            log.error('Failed to store capture', { requestId, error });
+        }
+    }
+
+    // Every capture with this request ID, oldest first
+    getByRequestId(requestId) {
+        return this.db.prepare('SELECT * FROM captures WHERE request_id = ? ORDER BY id').all(requestId).map(fromRow);
+    }
+
+    // Newest first, without the bodies
+    list({ userId, limit = 100 } = {}) {
+        const rows = userId
+            ? this.db.prepare(`
+                SELECT id, request_id, timestamp, user_id, key_id, endpoint, model, status, reason
+                FROM captures WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?
+            `).all(userId, limit)
+            : this.db.prepare(`
+                SELECT id, request_id, timestamp, user_id, key_id, endpoint, model, status, reason
+                FROM captures ORDER BY timestamp DESC LIMIT ?
+            `).all(limit);
+
+        return rows.map(fromRow);
+    }
+
+    // Deletes every capture with this request ID; returns how many there were
+    deleteByRequestId(requestId) {
+        return this.db.prepare('DELETE FROM captures WHERE request_id = ?').run(requestId).changes;
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 86400000).toISOString();
+        try {
+            const { changes } = this.db.prepare('DELETE FROM captures WHERE timestamp < ?').run(cutoff);
+            if (changes > 0) {
+                log.info('Pruned expired captures', { deleted: changes, retentionDays: this.retentionDays });
+            }
+        } catch (error) {
+            log.error('Failed to prune captures', error);
+        }
+    }
+}
+
+// Stores from before captures had their own id were keyed on request_id
+// alone; copy them into the current table
+function migrate(db) {
+    const columns = db.prepare('PRAGMA table_info(captures)').all().map(column => column.name);
+    if (columns.length === 0 || columns.includes('id')) return;
+
+    const copied = columns.join(', ');
+    db.transaction(() => {
+        db.exec(`
+            CREATE TABLE captures_migrated (${TABLE_COLUMNS});
+            INSERT INTO captures_migrated (${copied}) SELECT ${copied} FROM captures ORDER BY timestamp;
+            DROP TABLE captures;
+            ALTER TABLE captures_migrated RENAME TO captures;
+        `);
+    })();
+}
+
+function fromRow(row) {
+    const capture = {
+        id: row.id,
+        requestId: row.request_id,
+        timestamp: row.timestamp,
+        userId: row.user_id,
+        keyId: row.key_id,
+        endpoint: row.endpoint,
+        model: row.model,
+        status: row.status,
+        reason: row.reason
+    };
+    if (row.request !== undefined) {
+        capture.request = JSON.parse(row.request);
+        capture.response = JSON.parse(row.response);
+    }
+    return capture;
+}
+
+module.exports = new CaptureStore();
@@ -0,0 +1,574 @@
+// converters.js
+// Request and response translations between the OpenAI chat completion format
+// the proxy speaks to clients and the Anthropic Messages / Gemini
+// generateContent formats. Streams reuse the stop-reason and tool call
+// helpers from here (see streaming.js).
+const crypto = require('crypto');
+
+const DEFAULT_MODELS = {
+    anthropic: 'claude-sonnet-4-20250514',
+    google: 'gemini-2.5-pro'
+};
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+// Gemini does not give function calls an id, so the proxy makes them up
+function generateToolCallId() {
+    return `call_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Tool call arguments arrive as a JSON string; providers want an object
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+
+    try {
+        const parsed = JSON.parse(args || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Plain text of a message whose content is a string or an array of parts
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+
+    return content
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('');
+}
+
+// Only OpenAI-style `{ type: 'function', function: {...} }` tools are translated
+function isOpenAITools(tools) {
+    return Array.isArray(tools) && tools.some(tool => tool.type === 'function' && tool.function);
+}
+
+// ============================================
+// ANTHROPIC TRANSLATION
+// ============================================
+
+function buildAnthropicRequest(body) {
+    // Anthropic takes the system prompt as a top-level field, not a message
+    const messages = body.messages || [];
+    const systemMessages = messages.filter(msg => msg.role === 'system' || msg.role === 'developer');
+    const system = [body.system, ...systemMessages.map(msg => contentText(msg.content))]
+        .filter(Boolean)
+        .join('\n\n');
+
+    const anthropicRequest = {
+        model: body.model || DEFAULT_MODELS.anthropic,
+        max_tokens: body.max_tokens || body.max_completion_tokens || 4096,
+        messages: toAnthropicMessages(messages.filter(msg => !systemMessages.includes(msg))),
+        system: system || undefined
+    };
+
+    if (body.temperature !== undefined && body.temperature !== null) {
+        // OpenAI allows up to 2, Anthropic up to 1
+        anthropicRequest.temperature = Math.min(body.temperature, 1);
+    }
+    if (body.top_p !== undefined && body.top_p !== null) {
+        anthropicRequest.top_p = body.top_p;
+    }
+    if (body.top_k !== undefined && body.top_k !== null) {
+        anthropicRequest.top_k = body.top_k;
+    }
+
+    const stopSequences = body.stop_sequences || body.stop;
+    if (stopSequences) {
+        anthropicRequest.stop_sequences = Array.isArray(stopSequences) ? stopSequences : [stopSequences];
+    }
+
+    // Anthropic's metadata only knows user_id; OpenAI sends the end user as `user`
+    const userId = body.metadata?.user_id || body.user;
+    if (userId) {
+        anthropicRequest.metadata = { user_id: String(userId) };
+    }
+
+    if (isOpenAITools(body.tools)) {
+        anthropicRequest.tools = body.tools
+            .filter(tool => tool.type === 'function')
+            .map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters || { type: 'object', properties: {} }
+            }));
+
+        const toolChoice = toAnthropicToolChoice(body.tool_choice, body.parallel_tool_calls);
+        if (toolChoice) {
+            anthropicRequest.tool_choice = toolChoice;
+        }
+    } else if (body.tools) {
+        // Already in Anthropic's format
+        anthropicRequest.tools = body.tools;
+        if (body.tool_choice) anthropicRequest.tool_choice = body.tool_choice;
+    }
+
+    return anthropicRequest;
+}
+
+function toAnthropicToolChoice(toolChoice, parallelToolCalls) {
+    let choice = null;
+
+    if (toolChoice === 'auto') {
+        choice = { type: 'auto' };
+    } else if (toolChoice === 'none') {
+        choice = { type: 'none' };
+    } else if (toolChoice === 'required') {
+        choice = { type: 'any' };
+    } else if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+        choice = { type: 'tool', name: toolChoice.function.name };
+    }
+
+    if (parallelToolCalls === false && choice?.type !== 'none') {
+        choice = { ...(choice || { type: 'auto' }), disable_parallel_tool_use: true };
+    }
+
+    return choice;
+}
+
+// Convert OpenAI messages to Anthropic turns. Assistant tool_calls become
+// tool_use blocks and `tool` messages become tool_result blocks in a user
+// turn. Anthropic wants roles to alternate, so consecutive turns with the
+// same role are merged into one.
+function toAnthropicMessages(messages) {
+    const converted = [];
+
+    for (const msg of messages) {
+        const turn = toAnthropicTurn(msg);
+        const previous = converted[converted.length - 1];
+
+        if (previous?.role === turn.role) {
+            previous.content = [...toAnthropicBlocks(previous.content), ...toAnthropicBlocks(turn.content)];
+        } else {
+            converted.push(turn);
+        }
+    }
+
+    return converted;
+}
+
+function toAnthropicTurn(msg) {
+    if (msg.role === 'tool') {
+        return {
+            role: 'user',
+            content: [{
+                type: 'tool_result',
+                tool_use_id: msg.tool_call_id,
+                content: contentText(msg.content)
+            }]
+        };
+    }
+
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+
+    if (role === 'assistant' && msg.tool_calls?.length) {
+        const content = toAnthropicBlocks(msg.content);
+        for (const call of msg.tool_calls) {
+            content.push({
+                type: 'tool_use',
+                id: call.id,
+                name: call.function?.name,
+                input: parseToolArguments(call.function?.arguments)
+            });
+        }
+        return { role, content };
+    }
+
+    // Plain strings are left as they are
+    return {
+        role,
+        content: typeof msg.content === 'string' ? msg.content : toAnthropicBlocks(msg.content)
+    };
+}
+
+// Content blocks for a string or an array of OpenAI content parts.
+// Anthropic rejects empty text blocks, so those are dropped.
+function toAnthropicBlocks(content) {
+    if (typeof content === 'string') {
+        return content ? [{ type: 'text', text: content }] : [];
+    }
+    if (!Array.isArray(content)) return [];
+
+    const blocks = [];
+    for (const part of content) {
+        if (part.type === 'text') {
+            if (part.text) blocks.push({ type: 'text', text: part.text });
+        } else if (part.type === 'image_url') {
+            const image = toAnthropicImage(part.image_url?.url);
+            if (image) blocks.push(image);
+        } else if (part.type !== 'input_audio') {
+            // Anthropic-native blocks (image, document, tool_result, ...) pass through
+            blocks.push(part);
+        }
+    }
+    return blocks;
+}
+
+function toAnthropicImage(url) {
+    if (!url) return null;
+
+    if (url.startsWith('data:')) {
+        const matches = url.match(/^data:([^;]+);base64,(.+)$/);
+        if (!matches) return null;
+        return {
+            type: 'image',
+            source: { type: 'base64', media_type: matches[1], data: matches[2] }
+        };
+    }
+
+    return { type: 'image', source: { type: 'url', url } };
+}
+
+// Transform response to match OpenAI format for consistency
+function transformAnthropicResponse(data) {
+    const blocks = data.content || [];
+    const text = blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    const toolCalls = blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+            id: block.id,
+            type: 'function',
+            function: {
+                name: block.name,
+                arguments: JSON.stringify(block.input || {})
+            }
+        }));
+
+    const message = {
+        role: 'assistant',
+        content: toolCalls.length > 0 && !text ? null : text
+    };
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+    }
+
+    return {
+        id: data.id,
+        object: 'chat.completion',
+        created: Date.now(),
+        model: data.model,
+        choices: [{
+            index: 0,
+            message,
+            finish_reason: mapAnthropicStopReason(data.stop_reason)
+        }],
+        usage: mapAnthropicUsage(data.usage)
+    };
+}
+
+// Anthropic counts cache reads and writes apart from input_tokens; OpenAI's
+// prompt_tokens includes cached tokens and reports them in prompt_tokens_details
+function mapAnthropicUsage(usage = {}) {
+    const cacheRead = usage.cache_read_input_tokens || 0;
+    const cacheWrite = usage.cache_creation_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cacheRead + cacheWrite;
+    const completionTokens = usage.output_tokens || 0;
+
+    const mapped = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+    if (cacheRead) {
+        mapped.prompt_tokens_details = { cached_tokens: cacheRead };
+    }
+    if (cacheWrite) {
+        mapped.cache_creation_input_tokens = cacheWrite;
+    }
+    return mapped;
+}
+
+function mapAnthropicStopReason(stopReason) {
+    switch (stopReason) {
+        case 'end_turn':
+        case 'stop_sequence':
+            return 'stop';
+        case 'max_tokens':
+            return 'length';
+        case 'tool_use':
+            return 'tool_calls';
+        case 'refusal':
+            return 'content_filter';
+        default:
+            return stopReason;
+    }
+}
+
+// ============================================
+// GOOGLE (GEMINI) TRANSLATION
+// ============================================
+
+function buildGeminiRequest(body) {
+    const geminiRequest = {
+        contents: body.contents || transformMessagesToGeminiFormat(body.messages),
+        generationConfig: body.generationConfig || {
+            temperature: body.temperature ?? 0.7,
+            maxOutputTokens: body.max_tokens || 4096
+        },
+        safetySettings: body.safetySettings || [
+            { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+            { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+            { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+            { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
+        ]
+    };
+
+    if (isOpenAITools(body.tools)) {
+        geminiRequest.tools = [{
+            functionDeclarations: body.tools
+                .filter(tool => tool.type === 'function')
+                .map(tool => {
+                    const declaration = {
+                        name: tool.function.name,
+                        description: tool.function.description
+                    };
+                    if (tool.function.parameters) {
+                        declaration.parameters = toGeminiSchema(tool.function.parameters);
+                    }
+                    return declaration;
+                })
+        }];
+
+        const toolConfig = toGeminiToolConfig(body.tool_choice);
+        if (toolConfig) {
+            geminiRequest.toolConfig = toolConfig;
+        }
+    } else if (body.tools) {
+        // Already in Gemini's format
+        geminiRequest.tools = body.tools;
+    }
+
+    if (body.toolConfig) {
+        geminiRequest.toolConfig = body.toolConfig;
+    }
+
+    return geminiRequest;
+}
+
+// Gemini accepts an OpenAPI subset and rejects JSON Schema keywords it does not know
+function toGeminiSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toGeminiSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const cleaned = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === '$schema' || key === 'additionalProperties') continue;
+        cleaned[key] = key === 'properties'
+            ? Object.fromEntries(Object.entries(value || {}).map(([name, prop]) => [name, toGeminiSchema(prop)]))
+            : toGeminiSchema(value);
+    }
+    return cleaned;
+}
+
+function toGeminiToolConfig(toolChoice) {
+    if (toolChoice === 'auto') {
+        return { functionCallingConfig: { mode: 'AUTO' } };
+    }
+    if (toolChoice === 'none') {
+        return { functionCallingConfig: { mode: 'NONE' } };
+    }
+    if (toolChoice === 'required') {
+        return { functionCallingConfig: { mode: 'ANY' } };
+    }
+    if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+        return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+    }
+    return null;
+}
+
+// Transform response to match OpenAI format for consistency
+function transformGeminiResponse(data, model) {
+    const candidate = data.candidates?.[0];
+    const { text, toolCalls } = readGeminiParts(candidate?.content?.parts);
+
+    const message = {
+        role: 'assistant',
+        content: toolCalls.length > 0 && !text ? null : text
+    };
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+    }
+
+    return {
+        id: `gemini-${Date.now()}`,
+        object: 'chat.completion',
+        created: Date.now(),
+        model: model,
+        choices: [{
+            index: 0,
+            message,
+            finish_reason: toolCalls.length > 0 ? 'tool_calls' : mapGeminiFinishReason(candidate?.finishReason)
+        }],
+        usage: mapGeminiUsage(data.usageMetadata)
+    };
+}
+
+function mapGeminiUsage(usageMetadata = {}) {
+    const usage = {
+        prompt_tokens: usageMetadata.promptTokenCount || 0,
+        completion_tokens: usageMetadata.candidatesTokenCount || 0,
+        total_tokens: usageMetadata.totalTokenCount || 0
+    };
+    // promptTokenCount already includes context-cached tokens
+    if (usageMetadata.cachedContentTokenCount) {
+        usage.prompt_tokens_details = { cached_tokens: usageMetadata.cachedContentTokenCount };
+    }
+    return usage;
+}
+
+// Text and OpenAI-style tool calls from a Gemini candidate's parts
+function readGeminiParts(parts = []) {
+    const text = parts
+        .filter(part => part.text && !part.thought)
+        .map(part => part.text)
+        .join('');
+    const toolCalls = parts
+        .filter(part => part.functionCall)
+        .map(part => ({
+            id: generateToolCallId(),
+            type: 'function',
+            function: {
+                name: part.functionCall.name,
+                arguments: JSON.stringify(part.functionCall.args || {})
+            }
+        }));
+
+    return { text, toolCalls };
+}
+
+function mapGeminiFinishReason(finishReason) {
+    return finishReason === 'STOP' ? 'stop' : 'length';
+}
+
+// Helper function to transform OpenAI-style messages to Gemini format
+function transformMessagesToGeminiFormat(messages) {
+    if (!messages) return [];
+
+    const contents = [];
+    let systemPrompt = '';
+    // functionResponse parts are matched to their call by name, not id
+    const toolNames = {};
+
+    for (const msg of messages) {
+        if (msg.role === 'system') {
+            systemPrompt = msg.content;
+            continue;
+        }
+
+        if (msg.role === 'tool') {
+            const part = {
+                functionResponse: {
+                    name: toolNames[msg.tool_call_id] || msg.name,
+                    response: toFunctionResponse(contentText(msg.content))
+                }
+            };
+            const previous = contents[contents.length - 1];
+
+            // Answers to parallel calls go back together in one turn
+            if (previous?.role === 'user' && previous.parts.every(item => item.functionResponse)) {
+                previous.parts.push(part);
+            } else {
+                contents.push({ role: 'user', parts: [part] });
+            }
+            continue;
+        }
+
+        const role = msg.role === 'assistant' ? 'model' : 'user';
+
+        // Handle content that may be string or array (for images)
+        let parts = [];
+
+        if (typeof msg.content === 'string') {
+            // Prepend system prompt to first user message
+            if (role === 'user' && systemPrompt && contents.length === 0) {
+                parts.push({ text: `${systemPrompt}\n\n${msg.content}` });
+                systemPrompt = '';
+            } else if (msg.content) {
+                parts.push({ text: msg.content });
+            }
+        } else if (Array.isArray(msg.content)) {
+            // Handle multimodal content (text + images)
+            for (const item of msg.content) {
+                if (item.type === 'text') {
+                    if (role === 'user' && systemPrompt && contents.length === 0) {
+                        parts.push({ text: `${systemPrompt}\n\n${item.text}` });
+                        systemPrompt = '';
+                    } else {
+                        parts.push({ text: item.text });
+                    }
+                } else if (item.type === 'image_url') {
+                    // Extract base64 data from data URL
+                    const imageUrl = item.image_url.url;
+                    if (imageUrl.startsWith('data:')) {
+                        const matches = imageUrl.match(/^data:([^;]+);base64,(.+)$/);
+                        if (matches) {
+                            parts.push({
+                                inline_data: {
+                                    mime_type: matches[1],
+                                    data: matches[2]
+                                }
+                            });
+                        }
+                    }
+                } else if (!item.type && (item.inline_data || item.inlineData || item.file_data || item.fileData)) {
+                    // Gemini-native parts (e.g. expanded file references) pass through
+                    parts.push(item);
+                }
+            }
+        }
+
+        if (role === 'model' && msg.tool_calls?.length) {
+            for (const call of msg.tool_calls) {
+                toolNames[call.id] = call.function?.name;
+                parts.push({
+                    functionCall: {
+                        name: call.function?.name,
+                        args: parseToolArguments(call.function?.arguments)
+                    }
+                });
+            }
+        }
+
+        contents.push({ role, parts });
+    }
+
+    return contents;
+}
+
+// functionResponse.response must be a JSON object
+function toFunctionResponse(text) {
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return parsed;
+        }
+        return { content: parsed };
+    } catch (error) {
+        return { content: text };
+    }
+}
+
+module.exports = {
+    DEFAULT_MODELS,
+    buildAnthropicRequest,
+    transformAnthropicResponse,
+    mapAnthropicStopReason,
+    mapAnthropicUsage,
+    buildGeminiRequest,
+    transformGeminiResponse,
+    readGeminiParts,
+    mapGeminiFinishReason,
+    mapGeminiUsage,
+    transformMessagesToGeminiFormat
+};
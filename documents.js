@@ -0,0 +1,259 @@
+// documents.js
+// Text extraction and chunking for uploaded documents (PDF, DOCX, HTML, CSV
+// and plain text), so clients can put a file into a prompt without parsing
+// it themselves.
+const path = require('path');
+// The library itself, not pdf-parse's index.js (which runs a self-test
+// when required without a parent module)
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { CHARS_PER_TOKEN, estimateTokens } = require('./tokens');
+
+// Chunk sizes in (estimated) tokens; chunk_size=0 returns one chunk per file
+const DEFAULT_CHUNK_TOKENS = parseInt(process.env.DOCUMENT_CHUNK_TOKENS, 10) || 1000;
+const DEFAULT_CHUNK_OVERLAP = process.env.DOCUMENT_CHUNK_OVERLAP !== undefined
+    ? parseInt(process.env.DOCUMENT_CHUNK_OVERLAP, 10) || 0
+    : 100;
+
+const PART_FORMATS = ['openai', 'anthropic', 'gemini'];
+
+const TYPES_BY_MIME = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'text/html': 'html',
+    'application/xhtml+xml': 'html',
+    'text/csv': 'csv',
+    'application/csv': 'csv'
+};
+
+const TYPES_BY_EXTENSION = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.html': 'html',
+    '.htm': 'html',
+    '.csv': 'csv'
+};
+
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/x-ndjson'];
+
+// pdf, docx, html, csv or text; null for formats without a text extractor
+// (images, audio, ...). Browsers often send Office files and CSVs as
+// application/octet-stream, so the extension decides when the MIME type doesn't.
+function detectType(file) {
+    const mimeType = (file.mimetype || '').split(';')[0].trim().toLowerCase();
+    if (TYPES_BY_MIME[mimeType]) return TYPES_BY_MIME[mimeType];
+
+    const extension = path.extname(file.name || '').toLowerCase();
+    if (TYPES_BY_EXTENSION[extension]) return TYPES_BY_EXTENSION[extension];
+
+    if (mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType)) return 'text';
+    return null;
+}
+
+// { type, text, pages } for a file express-fileupload received; text is null
+// when the type has no extractor. Rejects on damaged or encrypted files.
+async function extractText(file) {
+    const type = detectType(file);
+
+    switch (type) {
+        case 'pdf': {
+            const pdf = await pdfParse(file.data);
+            return { type, text: normalizeWhitespace(pdf.text), pages: pdf.numpages };
+        }
+        case 'docx': {
+            const { value } = await mammoth.extractRawText({ buffer: file.data });
+            return { type, text: normalizeWhitespace(value) };
+        }
+        case 'html':
+            return { type, text: htmlToText(file.data.toString('utf8')) };
+        case 'csv':
+        case 'text':
+            return { type, text: file.data.toString('utf8').replace(/^\uFEFF/, '') };
+        default:
+            return { type, text: null };
+    }
+}
+
+// Chunk sizes from the upload form (chunk_size, chunk_overlap), falling back
+// to the defaults. Returns { options } or { error } for a 400.
+function parseChunkOptions(fields = {}) {
+    const chunkSize = fields.chunk_size !== undefined ? Number(fields.chunk_size) : DEFAULT_CHUNK_TOKENS;
+    // The default overlap shrinks with a small chunk_size instead of failing it
+    const chunkOverlap = fields.chunk_overlap !== undefined
+        ? Number(fields.chunk_overlap)
+        : Math.min(DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 0) {
+        return { error: 'chunk_size must be a non-negative integer (0 disables chunking)' };
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || (chunkSize > 0 && chunkOverlap > chunkSize / 2)) {
+        return { error: 'chunk_overlap must be a non-negative integer of at most half the chunk_size' };
+    }
+
+    return { options: { chunkSize, chunkOverlap: chunkSize > 0 ? chunkOverlap : 0 } };
+}
+
+// [{ index, text, tokens }]. Text is cut at paragraph, line, sentence or word
+// boundaries near the size limit, and each chunk repeats the end of the
+// previous one. CSV is cut between records and every chunk keeps the header
+// row instead of overlapping.
+function chunkText(text, type, { chunkSize, chunkOverlap }) {
+    if (!text) return [];
+
+    const pieces = chunkSize === 0
+        ? [text]
+        : type === 'csv'
+            ? chunkCsv(text, chunkSize * CHARS_PER_TOKEN)
+            : chunkProse(text, chunkSize * CHARS_PER_TOKEN, chunkOverlap * CHARS_PER_TOKEN);
+
+    return pieces.map((piece, index) => ({ index, text: piece, tokens: estimateTokens(piece) }));
+}
+
+function chunkProse(text, maxChars, overlapChars) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(text.length, start + maxChars);
+        // Break no earlier than halfway past the overlap, so every chunk
+        // moves on by at least a quarter of the chunk size
+        if (end < text.length) {
+            end = breakPoint(text, start + Math.floor((maxChars + overlapChars) / 2), end);
+        }
+
+        const chunk = text.slice(start, end).trim();
+        if (chunk) chunks.push(chunk);
+        if (end >= text.length) break;
+
+        // Step back for the overlap, to the start of a word, but always move forward
+        let next = Math.max(start + 1, end - overlapChars);
+        if (next < end) {
+            const space = text.slice(next, end).search(/\s/);
+            next = space === -1 ? next : next + space + 1;
+        }
+        start = next;
+    }
+
+    return chunks;
+}
+
+// The last paragraph, line, sentence or word break in text[from, to), or `to`
+function breakPoint(text, from, to) {
+    const window = text.slice(from, to);
+    for (const separator of ['\n\n', '\n', '. ', ' ']) {
+        const index = window.lastIndexOf(separator);
+        if (index !== -1) return from + index + separator.length;
+    }
+    return to;
+}
+
+function chunkCsv(text, maxChars) {
+    const [header, ...records] = splitCsvRecords(text);
+    if (records.length === 0) return header ? [header] : [];
+
+    const chunks = [];
+    let rows = [];
+    let length = header.length;
+
+    for (const record of records) {
+        if (rows.length > 0 && length + record.length + 1 > maxChars) {
+            chunks.push([header, ...rows].join('\n'));
+            rows = [];
+            length = header.length;
+        }
+        rows.push(record);
+        length += record.length + 1;
+    }
+    chunks.push([header, ...rows].join('\n'));
+
+    return chunks;
+}
+
+// Records, not lines: quoted fields may contain newlines
+function splitCsvRecords(text) {
+    const records = [];
+    let inQuotes = false;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === '\n' && !inQuotes) {
+            records.push(text.slice(start, i).replace(/\r$/, ''));
+            start = i + 1;
+        }
+    }
+    records.push(text.slice(start).replace(/\r$/, ''));
+
+    return records.filter(record => record.trim());
+}
+
+const BLOCK_TAGS = /<\/?(?:p|div|section|article|header|footer|main|aside|nav|h[1-6]|ul|ol|table|thead|tbody|tr|blockquote|pre|hr|br|form|fieldset|figure|figcaption|dl|dt|dd)\b[^>]*>/gi;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', mdash: '\u2014', ndash: '\u2013', hellip: '\u2026', copy: '\u00A9', reg: '\u00AE' };
+
+// Readable text from an HTML page: no scripts, styles or markup, with line
+// breaks where the blocks were
+function htmlToText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|head|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/t[dh]\s*>/gi, '\t')
+        .replace(BLOCK_TAGS, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return Number.isFinite(code) && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            }
+            return ENTITIES[name.toLowerCase()] ?? entity;
+        });
+
+    return normalizeWhitespace(text);
+}
+
+// Collapse runs of spaces and blank lines, keep paragraph breaks
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\f\v\u00A0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Chunks as content parts for a chat request in the given provider's format,
+// e.g. to append to an OpenAI user message's `content` array
+function toMessageParts(name, chunks, format) {
+    return chunks.map((chunk, index) => {
+        const title = chunks.length > 1 ? `${name} (part ${index + 1} of ${chunks.length})` : name;
+
+        switch (format) {
+            case 'anthropic':
+                return {
+                    type: 'document',
+                    source: { type: 'text', media_type: 'text/plain', data: chunk.text },
+                    title
+                };
+            case 'gemini':
+                return { text: `<document title="${escapeAttribute(title)}">\n${chunk.text}\n</document>` };
+            default:
+                return { type: 'text', text: `<document title="${escapeAttribute(title)}">\n${chunk.text}\n</document>` };
+        }
+    });
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+module.exports = {
+    PART_FORMATS,
+    detectType,
+    extractText,
+    parseChunkOptions,
+    chunkText,
+    toMessageParts
+};
@@ -0,0 +1,179 @@
+// embeddings.js
+// Embeddings from OpenAI or Gemini behind one OpenAI-shaped endpoint. Large
+// input arrays are split into batches the provider accepts, and the vectors
+// come back in input order as if from a single OpenAI call.
+const axios = require('axios');
+const { PROVIDER_LABELS, clientRequestIdHeader, upstreamRequestId } = require('./providers');
+const { withRetries } = require('./failover');
+const { estimateTokens } = require('./tokens');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+
+const UPSTREAM_TIMEOUT = 60000;
+
+const DEFAULT_MODELS = {
+    openai: 'text-embedding-3-small',
+    google: 'gemini-embedding-001'
+};
+
+// Inputs per upstream call: OpenAI accepts 2048, batchEmbedContents 100.
+// EMBEDDING_BATCH_SIZE lowers both, e.g. to stay under a per-request token limit.
+const BATCH_SIZES = {
+    openai: batchSize(2048),
+    google: batchSize(100)
+};
+
+// Between 1 and the provider's limit; anything else would never finish batching
+function batchSize(limit) {
+    const configured = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || limit;
+    return Math.max(1, Math.min(limit, configured));
+}
+
+const SUPPORTED_PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+// The OpenAI `input` as a list: a string, an array of strings, or (OpenAI
+// only) token arrays. Returns { inputs } or { error } for a 400.
+function parseInput(input, provider) {
+    if (typeof input === 'string') return { inputs: [input] };
+
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: "'input' must be a string or a non-empty array" };
+    }
+
+    // A single token array
+    if (input.every(Number.isInteger)) {
+        return provider === 'openai'
+            ? { inputs: [input] }
+            : { error: `Token array input is not supported by ${PROVIDER_LABELS[provider]}` };
+    }
+
+    for (const item of input) {
+        if (typeof item === 'string') continue;
+        if (Array.isArray(item) && item.every(Number.isInteger) && provider === 'openai') continue;
+        return {
+            error: provider === 'openai'
+                ? "'input' items must be strings or arrays of token IDs"
+                : `'input' items must be strings for ${PROVIDER_LABELS[provider]}`
+        };
+    }
+
+    return { inputs: input };
+}
+
+// Embed every input with `provider`, one upstream call per batch.
+// Resolves with an OpenAI `list` response and the upstream timing; rejects
+// with the first batch that still fails after retries (the whole request
+// fails, and the batches embedded before it are not logged as usage).
+async function createEmbeddings(provider, body, inputs, { requestId = null } = {}) {
+    const model = body.model || DEFAULT_MODELS[provider];
+    const label = `${PROVIDER_LABELS[provider]} embeddings`;
+    const batchSize = BATCH_SIZES[provider];
+
+    const data = [];
+    const usage = { prompt_tokens: 0, total_tokens: 0 };
+    const upstream = { latencyMs: 0, requestId: null };
+
+    for (let offset = 0; offset < inputs.length; offset += batchSize) {
+        const batch = inputs.slice(offset, offset + batchSize);
+        const startedAt = Date.now();
+
+        try {
+            const result = await withRetries(
+                () => provider === 'google'
+                    ? embedWithGemini(model, body, batch)
+                    : embedWithOpenAI(model, body, batch, requestId),
+                { requestId, label }
+            );
+
+            result.embeddings.forEach((embedding, index) => {
+                data.push({ object: 'embedding', index: offset + index, embedding });
+            });
+            usage.prompt_tokens += result.promptTokens;
+            usage.total_tokens += result.promptTokens;
+            upstream.requestId = upstreamRequestId(result.headers) || upstream.requestId;
+        } catch (error) {
+            upstream.latencyMs += Date.now() - startedAt;
+            upstream.requestId = upstreamRequestId(error.response?.headers) || upstream.requestId;
+            // For the usage log of the failed request
+            error.upstream = upstream;
+            throw error;
+        }
+
+        upstream.latencyMs += Date.now() - startedAt;
+    }
+
+    return {
+        response: { object: 'list', data, model, usage },
+        upstream
+    };
+}
+
+async function embedWithOpenAI(model, body, batch, requestId) {
+    const requestBody = { ...body, model, input: batch };
+    delete requestBody.provider;
+
+    const response = await axios.post(
+        'https://api.openai.com/v1/embeddings',
+        requestBody,
+        {
+            headers: {
+                'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                'Content-Type': 'application/json',
+                ...clientRequestIdHeader(requestId)
+            },
+            timeout: UPSTREAM_TIMEOUT
+        }
+    );
+
+    return {
+        embeddings: response.data.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding),
+        promptTokens: response.data.usage?.prompt_tokens || 0,
+        headers: response.headers
+    };
+}
+
+// One text goes to embedContent, several to batchEmbedContents. Gemini
+// reports no token usage for embeddings, so it is estimated for billing.
+async function embedWithGemini(model, body, batch) {
+    const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+    const toRequest = text => {
+        const request = { model: `models/${model}`, content: { parts: [{ text }] } };
+        // Not in the OpenAI API, but how Gemini tells queries from documents
+        if (body.task_type) request.taskType = body.task_type;
+        if (body.dimensions) request.outputDimensionality = body.dimensions;
+        return request;
+    };
+    const options = {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: UPSTREAM_TIMEOUT
+    };
+
+    const response = batch.length === 1
+        ? await axios.post(`${baseUrl}:embedContent?key=${GOOGLE_API_KEY}`, toRequest(batch[0]), options)
+        : await axios.post(`${baseUrl}:batchEmbedContents?key=${GOOGLE_API_KEY}`, { requests: batch.map(toRequest) }, options);
+
+    const vectors = batch.length === 1
+        ? [response.data.embedding.values]
+        : response.data.embeddings.map(embedding => embedding.values);
+
+    return {
+        embeddings: body.encoding_format === 'base64' ? vectors.map(toBase64) : vectors,
+        promptTokens: batch.reduce((sum, text) => sum + estimateTokens(text), 0),
+        headers: response.headers
+    };
+}
+
+// OpenAI's base64 encoding: little-endian float32s
+function toBase64(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+module.exports = {
+    DEFAULT_MODELS,
+    SUPPORTED_PROVIDERS,
+    parseInput,
+    createEmbeddings
+};
@@ -0,0 +1,347 @@
+// failover.js
+// Retries with exponential backoff and cross-provider fallback chains for chat
+// requests. Whichever provider ends up serving the request, the client gets
+// an OpenAI-shaped response.
+const { readStreamBody, writeSSE } = require('./streaming');
+const {
+    PROVIDER_LABELS,
+    isProviderConfigured,
+    sendChatRequest,
+    upstreamRequestId,
+    toOpenAIResponse,
+    pipeChatStream
+} = require('./providers');
+const { resolveModel } = require('./modelAliases');
+const responseCache = require('./responseCache');
+const keyStore = require('./keyStore');
+const fileStore = require('./fileStore');
+const log = require('./log');
+
+const RETRY_MAX_RETRIES = parseNonNegativeInt(process.env.RETRY_MAX_RETRIES, 2);
+const RETRY_BASE_DELAY_MS = parseNonNegativeInt(process.env.RETRY_BASE_DELAY_MS, 500);
+const RETRY_MAX_DELAY_MS = parseNonNegativeInt(process.env.RETRY_MAX_DELAY_MS, 10000);
+
+// 529 is Anthropic's "overloaded"
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Model -> ordered fallbacks, e.g.
+// FALLBACK_CHAINS='{"gpt-4o": ["claude-sonnet-4-20250514", "gemini-2.5-pro"]}'
+// Entries may be model aliases or name the provider explicitly as "provider:model".
+const FALLBACK_CHAINS = loadFallbackChains();
+
+function loadFallbackChains() {
+    if (!process.env.FALLBACK_CHAINS) return {};
+
+    try {
+        return JSON.parse(process.env.FALLBACK_CHAINS);
+    } catch (error) {
+        log.error('Invalid JSON in FALLBACK_CHAINS', error);
+        return {};
+    }
+}
+
+function parseNonNegativeInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// The primary provider followed by any configured fallbacks, skipping
+// providers without an API key and targets the client's key may not use
+// (verifyRequest only checked the primary model). Only OpenAI-style
+// `messages` bodies can be translated for another provider, so native Gemini
+// `contents` never fall back.
+function buildChain(provider, body, apiKey) {
+    const chain = [{ provider, model: body.model, primary: true }];
+
+    if (Array.isArray(body.messages) && body.model && FALLBACK_CHAINS[body.model]) {
+        chain.push(...FALLBACK_CHAINS[body.model].map(entry => {
+            const { provider: fallbackProvider, model } = resolveModel(entry);
+            return { provider: fallbackProvider, model };
+        }));
+    }
+
+    return chain.filter(target => isProviderConfigured(target.provider) && isAllowed(apiKey, target));
+}
+
+// Allowlists name real models, so check what an alias resolves to
+function isAllowed(apiKey, target) {
+    if (!apiKey) return true;
+    return keyStore.isProviderAllowed(apiKey, target.provider) &&
+        keyStore.isModelAllowed(apiKey, target.model && resolveModel(target.model).model);
+}
+
+function isRetryable(error) {
+    if (error.response) {
+        return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Upstream Retry-After wins over our own backoff; null means "too long to wait"
+function parseRetryAfter(headers) {
+    if (!headers) return null;
+
+    const retryAfterMs = parseFloat(headers['retry-after-ms']);
+    if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+    const retryAfter = headers['retry-after'];
+    if (!retryAfter) return null;
+
+    const seconds = parseFloat(retryAfter);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+
+    const date = Date.parse(retryAfter);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// Exponential backoff with equal jitter, or the upstream's Retry-After.
+// Returns null when the upstream asks us to wait longer than RETRY_MAX_DELAY_MS.
+function retryDelay(error, retry) {
+    const retryAfter = parseRetryAfter(error.response?.headers);
+    if (retryAfter !== null) {
+        return retryAfter <= RETRY_MAX_DELAY_MS ? retryAfter : null;
+    }
+
+    const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** retry);
+    return cap / 2 + Math.random() * (cap / 2);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Error body for logging and for the client. Streamed requests get their
+// error body as a stream, so read it once here.
+async function extractErrorData(error) {
+    if (error.proxyData) return error.proxyData;
+
+    const upstreamData = error.response?.data
+        ? await readStreamBody(error.response.data).catch(() => null)
+        : null;
+
+    error.proxyData = upstreamData || {
+        error: {
+            message: error.message || 'Internal server error',
+            type: 'proxy_error'
+        }
+    };
+    return error.proxyData;
+}
+
+// Forward an upstream (or proxy) error to the client. Streamed requests
+// may already have sent SSE headers.
+async function sendProxyError(res, error, label) {
+    const errorData = await extractErrorData(error);
+    log.error(label, {
+        requestId: res.locals.requestId,
+        status: error.response?.status,
+        error: errorData?.error?.message ? errorData.error : error
+    });
+
+    if (res.headersSent) {
+        // Mid-stream failure: report it in-band, then close the stream
+        if (!res.writableEnded) {
+            writeSSE(res, errorData);
+            res.end();
+        }
+        return res.logCompletion(errorData);
+    }
+
+    res.status(error.response?.status || 500).json(errorData);
+}
+
+// Time spent on the upstream call and the provider's own request ID, for
+// the usage and access logs. Each attempt overwrites the previous one's.
+function setUpstream(res, response, startedAt) {
+    res.locals.upstream = {
+        latencyMs: Date.now() - startedAt,
+        requestId: upstreamRequestId(response?.headers)
+    };
+}
+
+function setServedBy(res, target, model, attempt) {
+    res.locals.servedBy = { provider: target.provider, model: model || target.model, attempt };
+
+    if (!res.headersSent) {
+        res.set('X-Proxy-Provider', target.provider);
+        res.set('X-Proxy-Attempts', String(attempt));
+        if (model || target.model) {
+            res.set('X-Proxy-Model', model || target.model);
+        }
+    }
+}
+
+// Serve an OpenAI-style chat request from `provider`, retrying transient
+// failures and walking the model's fallback chain when retries run out.
+// Streams can only fail over until the first byte reaches the client.
+async function proxyChatCompletion(req, res, provider) {
+    const isStreaming = req.body.stream === true;
+    const chain = buildChain(provider, req.body, req.apiKey);
+
+    if (chain.length === 0) {
+        return res.status(503).json({
+            error: { message: `${PROVIDER_LABELS[provider]} API not configured`, type: 'configuration_error' }
+        });
+    }
+
+    // `{ type: 'file', file_id }` parts name files the user uploaded; they are
+    // expanded for each provider in the chain, as each wants them differently
+    const { files, error: fileError, status: fileErrorStatus } = await fileStore.resolveFileParts(req.body, req.apiKey?.userId);
+    if (fileError) {
+        return res.status(fileErrorStatus).json({
+            error: { message: fileError, type: 'invalid_request_error' }
+        });
+    }
+
+    const cacheKey = responseCache.keyFor(req, provider);
+    if (cacheKey) {
+        const cached = responseCache.readAllowed(req) ? await responseCache.get(cacheKey) : null;
+
+        if (cached) {
+            // Logged with zero cost; nothing was sent upstream
+            res.locals.servedBy = { provider: cached.provider, model: cached.model };
+            res.locals.cached = true;
+            res.set('X-Proxy-Cache', 'HIT');
+            log.info('Served chat request from cache', {
+                requestId: res.locals.requestId,
+                provider: cached.provider,
+                model: cached.model
+            });
+            return res.json(cached.response);
+        }
+
+        res.set('X-Proxy-Cache', 'MISS');
+    }
+
+    let attempt = 0;
+    let lastError = null;
+    let lastTarget = chain[0];
+
+    targets:
+    for (const [index, target] of chain.entries()) {
+        // The primary may have been dropped from the chain, so a fallback can be first
+        const body = fileStore.expandFileParts(
+            target.primary ? req.body : { ...req.body, model: target.model },
+            target.provider,
+            files
+        );
+        const label = PROVIDER_LABELS[target.provider];
+        lastTarget = target;
+
+        for (let retry = 0; retry <= RETRY_MAX_RETRIES; retry++) {
+            attempt++;
+            const upstreamStartedAt = Date.now();
+
+            try {
+                const call = await sendChatRequest(target.provider, body, {
+                    stream: isStreaming,
+                    requestId: res.locals.requestId
+                });
+                setServedBy(res, target, call.model, attempt);
+                setUpstream(res, call.response, upstreamStartedAt);
+
+                if (!target.primary) {
+                    log.info('Fell back to another provider', {
+                        requestId: res.locals.requestId,
+                        from: `${provider}/${req.body.model}`,
+                        to: `${target.provider}/${call.model}`
+                    });
+                }
+
+                if (isStreaming) {
+                    const completion = await pipeChatStream(call, req, res);
+                    // For streams the upstream is busy until the last event
+                    setUpstream(res, call.response, upstreamStartedAt);
+                    log.debug(`Streamed chat request from ${label}`, { requestId: res.locals.requestId });
+                    return res.logCompletion(completion);
+                }
+
+                log.debug(`Proxied chat request to ${label}`, { requestId: res.locals.requestId });
+                const response = toOpenAIResponse(call);
+
+                if (cacheKey && responseCache.writeAllowed(req)) {
+                    await responseCache.set(cacheKey, { provider: target.provider, model: call.model, response });
+                }
+
+                return res.json(response);
+
+            } catch (error) {
+                setUpstream(res, error.response, upstreamStartedAt);
+
+                if (res.headersSent) {
+                    return sendProxyError(res, error, `${label} API Error:`);
+                }
+
+                lastError = error;
+                const errorData = await extractErrorData(error);
+
+                if (!isRetryable(error)) {
+                    break targets;
+                }
+
+                const delay = retry < RETRY_MAX_RETRIES ? retryDelay(error, retry) : null;
+                const hasFallback = index < chain.length - 1;
+
+                if (delay === null && !hasFallback) {
+                    break targets;
+                }
+
+                // This attempt failed but another follows: log it on its own
+                res.logAttempt(errorData, {
+                    provider: target.provider,
+                    model: body.model,
+                    attempt,
+                    status: error.response?.status
+                });
+
+                const failure = {
+                    requestId: res.locals.requestId,
+                    provider: target.provider,
+                    status: error.response?.status || error.code,
+                    attempt
+                };
+
+                if (delay === null) {
+                    log.warn(`${label} failed, trying next fallback`, failure);
+                    continue targets;
+                }
+
+                log.warn(`${label} failed, retrying`, { ...failure, delayMs: Math.round(delay) });
+                await sleep(delay);
+            }
+        }
+    }
+
+    setServedBy(res, lastTarget, lastTarget.model, attempt);
+    await sendProxyError(res, lastError, `${PROVIDER_LABELS[lastTarget.provider]} API Error:`);
+}
+
+// Run one upstream call with the same retry policy as chat, for endpoints
+// without fallback chains (e.g. each embeddings batch). `send` is called
+// again for every attempt; the last error is rethrown when retries run out.
+async function withRetries(send, { requestId, label }) {
+    for (let retry = 0; ; retry++) {
+        try {
+            return await send();
+        } catch (error) {
+            const delay = isRetryable(error) && retry < RETRY_MAX_RETRIES ? retryDelay(error, retry) : null;
+            if (delay === null) throw error;
+
+            log.warn(`${label} failed, retrying`, {
+                requestId,
+                status: error.response?.status || error.code,
+                attempt: retry + 1,
+                delayMs: Math.round(delay)
+            });
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    proxyChatCompletion,
+    sendProxyError,
+    setUpstream,
+    withRetries
+};
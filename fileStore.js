@@ -0,0 +1,263 @@
+// fileStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const documents = require('./documents');
+const log = require('./log');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS files (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        key_id TEXT,
+        name TEXT NOT NULL,
+        mime_type TEXT,
+        size INTEGER NOT NULL,
+        type TEXT,
+        pages INTEGER,
+        tokens INTEGER,
+        text TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_files_user ON files (user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_files_created ON files (created_at);
+`;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Uploaded files, kept so chat requests can reference them as
+// `{ "type": "file", "file_id": "file-..." }` content parts instead of
+// re-sending the document every time. The bytes live in FILE_STORE_DIR
+// (default LOGS_DIR/files), the metadata and extracted text in a SQLite
+// database next to them. Files belong to the user who uploaded them and are
+// deleted after FILE_RETENTION_DAYS (default 30, 0 keeps them).
+class FileStore {
+    constructor() {
+        const logsDir = process.env.LOGS_DIR || path.join('/tmp', 'logs');
+        this.dir = process.env.FILE_STORE_DIR || path.join(logsDir, 'files');
+        this.dbFile = path.join(this.dir, 'files.db');
+        this.retentionDays = process.env.FILE_RETENTION_DAYS !== undefined
+            ? parseFloat(process.env.FILE_RETENTION_DAYS) || 0
+            : 30;
+        this.database = null;
+        this.pruneTimer = null;
+
+        // Opened straight away when files exist so expired ones are pruned after a restart
+        if (fs.existsSync(this.dbFile)) this.open();
+    }
+
+    get db() {
+        return this.database || this.open();
+    }
+
+    open() {
+        if (!this.database) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            this.database = new Database(this.dbFile);
+            this.database.pragma('journal_mode = WAL');
+            this.database.exec(SCHEMA);
+
+            if (this.retentionDays > 0) {
+                this.prune();
+                this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+                this.pruneTimer.unref();
+            }
+        }
+        return this.database;
+    }
+
+    // Store an express-fileupload file with its extracted text (null when
+    // there is none). Resolves with the stored file's metadata.
+    async save({ userId, keyId, file, type, text, pages, tokens }) {
+        const id = `file-${crypto.randomBytes(12).toString('hex')}`;
+        const createdAt = new Date().toISOString();
+
+        this.open();
+        await fs.promises.writeFile(this.pathFor(id), file.data);
+
+        try {
+            this.db.prepare(`
+                INSERT INTO files (id, created_at, user_id, key_id, name, mime_type, size, type, pages, tokens, text)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                id,
+                createdAt,
+                userId,
+                keyId || null,
+                file.name,
+                file.mimetype || null,
+                file.size,
+                type || null,
+                pages || null,
+                tokens ?? null,
+                text ?? null
+            );
+        } catch (error) {
+            await fs.promises.rm(this.pathFor(id), { force: true });
+            throw error;
+        }
+
+        return this.get(id, userId);
+    }
+
+    // Metadata of a file the user owns, or null. Files of other users are
+    // indistinguishable from missing ones.
+    get(id, userId) {
+        const row = this.db.prepare(`
+            SELECT id, created_at, user_id, name, mime_type, size, type, pages, tokens
+            FROM files WHERE id = ? AND user_id = ?
+        `).get(id, userId);
+        return row ? this.fromRow(row) : null;
+    }
+
+    // Metadata, extracted text and (when `withData`) the bytes
+    async read(id, userId, { withData = true } = {}) {
+        const row = this.db.prepare('SELECT * FROM files WHERE id = ? AND user_id = ?').get(id, userId);
+        if (!row) return null;
+
+        const file = { ...this.fromRow(row), text: row.text };
+        if (withData) {
+            try {
+                file.data = await fs.promises.readFile(this.pathFor(id));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                log.warn('Stored file is missing its data', { fileId: id });
+                return null;
+            }
+        }
+        return file;
+    }
+
+    async delete(id, userId) {
+        const { changes } = this.db.prepare('DELETE FROM files WHERE id = ? AND user_id = ?').run(id, userId);
+        if (changes === 0) return false;
+
+        await fs.promises.rm(this.pathFor(id), { force: true });
+        return true;
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 86400000).toISOString();
+        try {
+            const expired = this.db.prepare('SELECT id FROM files WHERE created_at < ?').all(cutoff);
+            for (const { id } of expired) {
+                fs.rmSync(this.pathFor(id), { force: true });
+            }
+            const { changes } = this.db.prepare('DELETE FROM files WHERE created_at < ?').run(cutoff);
+            if (changes > 0) {
+                log.info('Pruned expired files', { deleted: changes, retentionDays: this.retentionDays });
+            }
+        } catch (error) {
+            log.error('Failed to prune files', error);
+        }
+    }
+
+    // IDs are generated here, but they come back from clients: never let
+    // one escape the store directory
+    pathFor(id) {
+        return path.join(this.dir, path.basename(id));
+    }
+
+    fromRow(row) {
+        const createdAt = row.created_at;
+        return {
+            id: row.id,
+            object: 'file',
+            name: row.name,
+            mimeType: row.mime_type,
+            size: row.size,
+            type: row.type,
+            pages: row.pages,
+            tokens: row.tokens,
+            createdAt,
+            expiresAt: this.retentionDays > 0
+                ? new Date(Date.parse(createdAt) + this.retentionDays * 86400000).toISOString()
+                : null
+        };
+    }
+
+    // Load every file a chat body references with a `{ type: 'file', file_id }`
+    // part. Resolves with { files } (by ID) or { error, status } for the client.
+    async resolveFileParts(body, userId) {
+        const ids = new Set();
+        for (const msg of Array.isArray(body?.messages) ? body.messages : []) {
+            if (!Array.isArray(msg.content)) continue;
+            for (const part of msg.content) {
+                if (isFileReference(part)) ids.add(part.file_id);
+            }
+        }
+
+        const files = {};
+        for (const id of ids) {
+            const file = typeof id === 'string' ? await this.read(id, userId) : null;
+            if (!file) {
+                return { status: 404, error: `No such file: ${id}` };
+            }
+            if (file.text === null && !isImage(file) && file.type !== 'pdf') {
+                return { status: 400, error: `File ${id} (${file.name}) has no text content and cannot be used in a chat message` };
+            }
+            files[id] = file;
+        }
+        return { files };
+    }
+
+    // Replace file references in the OpenAI-style messages with content parts
+    // `provider` understands. Images go as image_url parts (converted like any
+    // other image); PDFs go natively to Anthropic and Gemini; anything else
+    // becomes its extracted text. Returns `body` itself when there is nothing
+    // to expand.
+    expandFileParts(body, provider, files) {
+        if (!files || Object.keys(files).length === 0) return body;
+
+        return {
+            ...body,
+            messages: body.messages.map(msg => Array.isArray(msg.content)
+                ? {
+                    ...msg,
+                    content: msg.content.map(part => isFileReference(part) ? toContentPart(files[part.file_id], provider) : part)
+                }
+                : msg)
+        };
+    }
+}
+
+// OpenAI's own `{ type: 'file', file: {...} }` parts are passed through
+function isFileReference(part) {
+    return part?.type === 'file' && part.file_id !== undefined;
+}
+
+function isImage(file) {
+    return (file.mimeType || '').startsWith('image/');
+}
+
+function toContentPart(file, provider) {
+    const base64 = () => file.data.toString('base64');
+
+    if (isImage(file)) {
+        return { type: 'image_url', image_url: { url: `data:${file.mimeType};base64,${base64()}` } };
+    }
+
+    if (file.type === 'pdf') {
+        if (provider === 'anthropic') {
+            return {
+                type: 'document',
+                source: { type: 'base64', media_type: 'application/pdf', data: base64() },
+                title: file.name
+            };
+        }
+        if (provider === 'google') {
+            return { inline_data: { mime_type: 'application/pdf', data: base64() } };
+        }
+        // OpenAI reads PDFs it is sent as file data; only needed when there is no text layer
+        if (file.text === null) {
+            return { type: 'file', file: { filename: file.name, file_data: `data:application/pdf;base64,${base64()}` } };
+        }
+    }
+
+    const chunks = [{ index: 0, text: file.text }];
+    const [part] = documents.toMessageParts(file.name, chunks, provider === 'anthropic' ? 'anthropic' : 'openai');
+    return part;
+}
+
+module.exports = new FileStore();
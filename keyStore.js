@@ -0,0 +1,435 @@
+// keyStore.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./log');
+
+const KEY_PREFIX = 'sk-proxy-';
+
+class KeyStore {
+    constructor() {
+        // Kept next to the usage logs by default; point KEYS_FILE at a volume in production
+        this.keysFile = process.env.KEYS_FILE ||
+            path.join(process.env.LOGS_DIR || path.join('/tmp', 'logs'), 'api_keys.json');
+        this.keys = {};
+        this.users = {};
+        this.settings = {};
+        this.saveTimer = null;
+        // What the key file looked like when last read or written, and what
+        // was deleted since, for merging in keys other processes added
+        this.fileVersion = null;
+        this.deletedKeys = new Set();
+        this.deletedUsers = new Set();
+        this.load();
+        log.info('Key store loaded', { file: this.keysFile, keys: Object.keys(this.keys).length });
+    }
+
+    // A key file that exists but cannot be read stops the server: starting
+    // with no keys would lock every client out, and the next save would
+    // overwrite the file
+    load() {
+        let data;
+        try {
+            this.fileVersion = this.statFile();
+            data = readKeyFile(this.keysFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Failed to load key store', { file: this.keysFile, error });
+                throw error;
+            }
+            data = { keys: {}, users: {}, settings: {} };
+        }
+
+        this.keys = data.keys;
+        this.users = data.users;
+        this.settings = data.settings;
+    }
+
+    // mtime and size of the key file, or null if there is none
+    statFile() {
+        try {
+            const { mtimeMs, size } = fs.statSync(this.keysFile);
+            return `${mtimeMs}:${size}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // `npm run create-key` writes the key file while the server runs: take
+    // over the keys and users another process added since we last read or
+    // wrote the file, so they work straight away and our next save keeps
+    // them. Records we hold win; ones we deleted stay deleted. Returns
+    // whether anything was added.
+    mergeFromDisk() {
+        const version = this.statFile();
+        if (!version || version === this.fileVersion) return false;
+
+        let data;
+        try {
+            data = readKeyFile(this.keysFile);
+        } catch (error) {
+            log.error('Failed to re-read key store', { file: this.keysFile, error });
+            return false;
+        }
+        this.fileVersion = version;
+
+        let added = 0;
+        for (const [id, record] of Object.entries(data.keys)) {
+            if (!this.keys[id] && !this.deletedKeys.has(id)) {
+                this.keys[id] = record;
+                added++;
+            }
+        }
+        for (const [userId, user] of Object.entries(data.users)) {
+            if (!this.users[userId] && !this.deletedUsers.has(userId)) {
+                this.users[userId] = user;
+                added++;
+            }
+        }
+
+        if (added > 0) {
+            log.info('Key store reloaded', { file: this.keysFile, added });
+        }
+        return added > 0;
+    }
+
+    // Rejects when the file could not be written, so admin changes that
+    // would be lost on restart are reported as failures
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            this.mergeFromDisk();
+            await fs.promises.mkdir(path.dirname(this.keysFile), { recursive: true });
+            // Write then rename so a crash never leaves a half-written key file
+            const tmpFile = `${this.keysFile}.tmp`;
+            const data = { keys: this.keys, users: this.users, settings: this.settings };
+            await fs.promises.writeFile(tmpFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+            await fs.promises.rename(tmpFile, this.keysFile);
+            this.fileVersion = this.statFile();
+        } catch (error) {
+            log.error('Failed to save key store', { file: this.keysFile, error });
+            throw error;
+        }
+    }
+
+    // Coalesce frequent, non-critical writes (e.g. lastUsedAt) into one save
+    scheduleSave() {
+        if (this.saveTimer) return;
+        // Already logged by save(); the next write tries again
+        this.saveTimer = setTimeout(() => this.save().catch(() => {}), 5000);
+        this.saveTimer.unref();
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    // Issue a new key. The plaintext key is only returned here; only its hash is stored.
+    async createKey({ userId, team = null, name = null, allowedProviders = null, allowedModels = null }) {
+        if (!userId) {
+            throw new Error('userId is required');
+        }
+
+        const key = generateSecret();
+        const id = `key_${crypto.randomBytes(8).toString('hex')}`;
+
+        this.keys[id] = {
+            id,
+            name,
+            userId,
+            team,
+            keyHash: this.hashKey(key),
+            keyPreview: previewKey(key),
+            allowedProviders: normalizeList(allowedProviders),
+            allowedModels: normalizeList(allowedModels),
+            enabled: true,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        await this.save();
+        return { key, record: this.toPublic(this.keys[id]) };
+    }
+
+    // Look up the key record for a bearer token; null if unknown or disabled
+    verify(token) {
+        if (!token || !token.startsWith(KEY_PREFIX)) return null;
+
+        const hash = this.hashKey(token);
+        const findRecord = () => Object.values(this.keys).find(k =>
+            crypto.timingSafeEqual(Buffer.from(k.keyHash, 'hex'), Buffer.from(hash, 'hex'))
+        );
+        // An unknown key may have just been created from the command line
+        const record = findRecord() || (this.mergeFromDisk() ? findRecord() : null);
+
+        if (!record || !record.enabled) return null;
+
+        record.lastUsedAt = new Date().toISOString();
+        this.scheduleSave();
+        return record;
+    }
+
+    listKeys(userId = null) {
+        return Object.values(this.keys)
+            .filter(record => !userId || record.userId === userId)
+            .map(record => this.toPublic(record));
+    }
+
+    getKey(id) {
+        const record = this.keys[id];
+        return record ? this.toPublic(record) : null;
+    }
+
+    async updateKey(id, changes) {
+        const record = this.keys[id];
+        if (!record) return null;
+
+        if (changes.name !== undefined) record.name = changes.name;
+        if (changes.team !== undefined) record.team = changes.team;
+        if (changes.enabled !== undefined) record.enabled = !!changes.enabled;
+        if (changes.allowedProviders !== undefined) {
+            record.allowedProviders = normalizeList(changes.allowedProviders);
+        }
+        if (changes.allowedModels !== undefined) {
+            record.allowedModels = normalizeList(changes.allowedModels);
+        }
+        record.updatedAt = new Date().toISOString();
+
+        await this.save();
+        return this.toPublic(record);
+    }
+
+    // Replace the secret but keep the key id and its settings; the old secret stops working immediately
+    async rotateKey(id) {
+        const record = this.keys[id];
+        if (!record) return null;
+
+        const key = generateSecret();
+        record.keyHash = this.hashKey(key);
+        record.keyPreview = previewKey(key);
+        record.rotatedAt = new Date().toISOString();
+
+        await this.save();
+        return { key, record: this.toPublic(record) };
+    }
+
+    async deleteKey(id) {
+        if (!this.keys[id]) return false;
+        delete this.keys[id];
+        this.deletedKeys.add(id);
+        await this.save();
+        return true;
+    }
+
+    // Per-user settings apply on top of every key the user holds
+    getUser(userId) {
+        return this.users[userId] || null;
+    }
+
+    listUsers() {
+        const userIds = new Set([
+            ...Object.keys(this.users),
+            ...Object.values(this.keys).map(record => record.userId)
+        ]);
+
+        return [...userIds].map(userId => ({
+            userId,
+            settings: this.getUser(userId),
+            keyCount: this.listKeys(userId).length
+        }));
+    }
+
+    async updateUser(userId, changes) {
+        const user = this.users[userId] || { allowedModels: null, quotas: {} };
+
+        if (changes.allowedModels !== undefined) {
+            user.allowedModels = normalizeList(changes.allowedModels);
+        }
+        if (changes.quotas !== undefined) {
+            user.quotas = normalizeQuotas({ ...user.quotas, ...changes.quotas });
+        }
+        if (changes.rateLimits !== undefined) {
+            user.rateLimits = changes.rateLimits ? normalizeRateLimits(changes.rateLimits) : null;
+        }
+        if (changes.budgets !== undefined) {
+            user.budgets = changes.budgets ? normalizeBudgets({ ...user.budgets, ...changes.budgets }) : null;
+        }
+        if (changes.capture !== undefined) {
+            user.capture = !!changes.capture;
+        }
+        user.updatedAt = new Date().toISOString();
+
+        this.users[userId] = user;
+        await this.save();
+        return user;
+    }
+
+    async deleteUser(userId) {
+        if (!this.users[userId]) return false;
+        delete this.users[userId];
+        this.deletedUsers.add(userId);
+        await this.save();
+        return true;
+    }
+
+    // Proxy-wide settings managed through the admin API (e.g. the global budget)
+    getSettings() {
+        return this.settings;
+    }
+
+    async updateSettings(changes) {
+        if (changes.budgets !== undefined) {
+            this.settings.budgets = changes.budgets ? normalizeBudgets(changes.budgets) : null;
+        }
+        if (changes.modelAliases !== undefined) {
+            this.settings.modelAliases = normalizeAliases(changes.modelAliases);
+        }
+        this.settings.updatedAt = new Date().toISOString();
+
+        await this.save();
+        return this.settings;
+    }
+
+    isProviderAllowed(record, provider) {
+        if (!provider || !record.allowedProviders) return true;
+        return record.allowedProviders.includes(provider);
+    }
+
+    // Both the key's and its user's allowlists must admit the model.
+    // Patterns are exact names or prefixes ending in '*', e.g. 'gpt-4o*'
+    isModelAllowed(record, model) {
+        if (!model) return true;
+
+        const user = this.getUser(record.userId);
+        return matchesModelList(record.allowedModels, model) &&
+            matchesModelList(user?.allowedModels, model);
+    }
+
+    hasKeys() {
+        return Object.keys(this.keys).length > 0;
+    }
+
+    // Key record without the hash, safe to return from APIs
+    toPublic(record) {
+        const { keyHash, ...rest } = record;
+        return rest;
+    }
+}
+
+// { keys, users, settings } from the key file. Files written before users and
+// settings existed hold only the keys, as a map by id (or a list); they are
+// read as such and saved in the current shape on the next write.
+function readKeyFile(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (data && !Array.isArray(data) && typeof data === 'object' &&
+        ['keys', 'users', 'settings'].some(field => field in data)) {
+        return { keys: data.keys || {}, users: data.users || {}, settings: data.settings || {} };
+    }
+
+    const records = Array.isArray(data) ? data : Object.values(data || {});
+    if (!records.every(record => record && typeof record === 'object' && record.id && record.keyHash)) {
+        throw new Error(`Unrecognised key file format in ${file}`);
+    }
+
+    if (records.length > 0) {
+        log.warn('Migrating key file from the keys-only format', { file, keys: records.length });
+    }
+    return {
+        keys: Object.fromEntries(records.map(record => [record.id, record])),
+        users: {},
+        settings: {}
+    };
+}
+
+function generateSecret() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Enough of the key to recognise it in listings without revealing it
+function previewKey(key) {
+    return `${key.substring(0, KEY_PREFIX.length + 4)}...${key.slice(-4)}`;
+}
+
+function matchesModelList(patterns, model) {
+    if (!patterns) return true;
+    return patterns.some(pattern =>
+        pattern.endsWith('*') ? model.startsWith(pattern.slice(0, -1)) : model === pattern
+    );
+}
+
+// Quotas are positive numbers; null/0 removes a limit
+function normalizeQuotas(quotas) {
+    const normalized = {};
+    for (const [name, value] of Object.entries(quotas || {})) {
+        const limit = Number(value);
+        if (value !== null && Number.isFinite(limit) && limit > 0) {
+            normalized[name] = limit;
+        }
+    }
+    return normalized;
+}
+
+// { requestsPerMinute, tokensPerMinute, providers: { openai: { requestsPerMinute, tokensPerMinute } } }
+// Missing, zero or invalid values become null: no limit by default, or
+// "inherit the default" in per-user settings
+function normalizeRateLimits(limits = {}) {
+    const toLimit = (value) => {
+        const limit = Number(value);
+        return value !== null && value !== undefined && Number.isFinite(limit) && limit > 0 ? limit : null;
+    };
+
+    const providers = {};
+    for (const [provider, providerLimits] of Object.entries(limits.providers || {})) {
+        providers[provider] = {
+            requestsPerMinute: toLimit(providerLimits?.requestsPerMinute),
+            tokensPerMinute: toLimit(providerLimits?.tokensPerMinute)
+        };
+    }
+
+    return {
+        requestsPerMinute: toLimit(limits.requestsPerMinute),
+        tokensPerMinute: toLimit(limits.tokensPerMinute),
+        providers
+    };
+}
+
+// { daily, monthly, mode } with limits in dollars; mode is 'hard' (reject) or 'soft' (flag only)
+function normalizeBudgets(budgets = {}) {
+    const toLimit = (value) => {
+        const limit = Number(value);
+        return value !== null && value !== undefined && Number.isFinite(limit) && limit > 0 ? limit : null;
+    };
+
+    return {
+        daily: toLimit(budgets.daily),
+        monthly: toLimit(budgets.monthly),
+        mode: ['hard', 'soft'].includes(budgets.mode) ? budgets.mode : null
+    };
+}
+
+// { alias: 'model' } or { alias: 'provider:model' }; non-string targets are dropped
+function normalizeAliases(aliases) {
+    const normalized = {};
+    for (const [alias, target] of Object.entries(aliases || {})) {
+        if (typeof target === 'string' && target.trim()) {
+            normalized[alias] = target.trim();
+        }
+    }
+    return normalized;
+}
+
+function normalizeList(value) {
+    if (!value) return null;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    return list.length > 0 ? list : null;
+}
+
+module.exports = new KeyStore();
+module.exports.normalizeRateLimits = normalizeRateLimits;
+module.exports.normalizeBudgets = normalizeBudgets;
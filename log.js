@@ -0,0 +1,63 @@
+// log.js
+// Leveled JSON logger: one object per line with time, level, msg and any
+// extra fields, so log platforms can index and filter them. warn and error
+// go to stderr. LOG_LEVEL sets the threshold (debug, info, warn, error;
+// default info).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+function write(level, msg, fields, bindings) {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...bindings,
+        ...serializeFields(fields)
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        // Circular or otherwise unserializable fields; keep the message
+        line = JSON.stringify({ time: entry.time, level, msg, ...bindings, logError: error.message });
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Fields may be a plain object or an Error; Errors (also under an `error`
+// key) become { message, code, status, stack } since JSON.stringify drops them
+function serializeFields(fields) {
+    if (!fields) return {};
+    if (fields instanceof Error) return { error: serializeError(fields) };
+
+    return fields.error instanceof Error
+        ? { ...fields, error: serializeError(fields.error) }
+        : fields;
+}
+
+function serializeError(error) {
+    return {
+        message: error.message,
+        code: error.code,
+        status: error.response?.status,
+        stack: error.stack
+    };
+}
+
+// A logger whose entries all carry `bindings`, e.g. a request ID
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', msg, fields, bindings),
+        info: (msg, fields) => write('info', msg, fields, bindings),
+        warn: (msg, fields) => write('warn', msg, fields, bindings),
+        error: (msg, fields) => write('error', msg, fields, bindings),
+        child: (extra) => createLogger({ ...bindings, ...extra })
+    };
+}
+
+module.exports = createLogger();
@@ -0,0 +1,156 @@
+// logMaintenance.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const log = require('./log');
+
+const LOG_FILE = /^usage-(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+// Requests that started before midnight can still be appending to yesterday's file
+const CLOSED_AFTER_MS = 10 * 60 * 1000;
+
+// Housekeeping for the daily usage-YYYY-MM-DD.jsonl files in LOGS_DIR:
+// - closed days are gzipped (LOG_COMPRESS=false turns this off); readers
+//   such as scripts/importUsage.js read .jsonl.gz transparently
+// - files older than LOG_RETENTION_DAYS (default 0: keep forever) are
+//   deleted, or moved to LOG_ARCHIVE_DIR when LOG_RETENTION_ACTION=archive
+// - entries of those days are deleted from the SQLite usage store given to
+//   start(); its daily rollups are kept, so totals and budgets are unaffected
+class LogMaintenance {
+    constructor() {
+        this.logsDir = process.env.LOGS_DIR || path.join('/tmp', 'logs');
+        this.compress = process.env.LOG_COMPRESS !== 'false';
+        this.retentionDays = Math.max(0, parseInt(process.env.LOG_RETENTION_DAYS, 10) || 0);
+        this.action = process.env.LOG_RETENTION_ACTION === 'archive' ? 'archive' : 'delete';
+        this.archiveDir = process.env.LOG_ARCHIVE_DIR || path.join(this.logsDir, 'archive');
+        this.usageStore = null;
+        this.timer = null;
+        this.running = null;
+    }
+
+    start(usageStore = null) {
+        if (this.timer) return;
+
+        this.usageStore = usageStore;
+
+        this.run();
+        this.timer = setInterval(() => this.run(), RUN_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // One pass over LOGS_DIR; concurrent calls share the pass in progress
+    run() {
+        if (!this.running) {
+            this.running = this.maintain()
+                .catch(error => {
+                    log.error('Log maintenance failed', { dir: this.logsDir, error });
+                    return { compressed: [], expired: [], pruned: 0 };
+                })
+                .finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async maintain(now = new Date()) {
+        const result = { compressed: [], expired: [], pruned: 0 };
+        const today = now.toISOString().substring(0, 10);
+        const cutoff = this.retentionDays > 0
+            ? new Date(now.getTime() - this.retentionDays * 86400000).toISOString().substring(0, 10)
+            : null;
+
+        if (cutoff && this.usageStore) {
+            result.pruned = this.usageStore.prune(cutoff);
+        }
+
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.logsDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const file of files.sort()) {
+            const match = LOG_FILE.exec(file);
+            if (!match) continue;
+
+            const [, date, gzipped] = match;
+            const filePath = path.join(this.logsDir, file);
+
+            if (cutoff && date < cutoff) {
+                await this.expire(filePath);
+                result.expired.push(file);
+            } else if (this.compress && !gzipped && date < today && await isClosed(filePath, now)) {
+                await compressFile(filePath);
+                result.compressed.push(file);
+            }
+        }
+
+        if (result.compressed.length > 0 || result.expired.length > 0 || result.pruned > 0) {
+            log.info('Log maintenance', {
+                dir: this.logsDir,
+                compressed: result.compressed.length,
+                [this.action === 'archive' ? 'archived' : 'deleted']: result.expired.length,
+                prunedEntries: result.pruned
+            });
+        }
+        return result;
+    }
+
+    async expire(filePath) {
+        if (this.action === 'delete') {
+            await fs.promises.unlink(filePath);
+            return;
+        }
+
+        await fs.promises.mkdir(this.archiveDir, { recursive: true });
+        const target = path.join(this.archiveDir, path.basename(filePath));
+        try {
+            await fs.promises.rename(filePath, target);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            // The archive is on another volume
+            await fs.promises.copyFile(filePath, target);
+            await fs.promises.unlink(filePath);
+        }
+    }
+}
+
+async function isClosed(filePath, now) {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    return now.getTime() - mtimeMs > CLOSED_AFTER_MS;
+}
+
+// usage-X.jsonl -> usage-X.jsonl.gz. Written under a temporary name first so a
+// crash never leaves a truncated archive. If a .gz already exists (a late
+// append re-created the plain file) the new data is added as a second gzip
+// member, which gunzip reads as one stream.
+async function compressFile(filePath) {
+    const target = `${filePath}.gz`;
+    const tmpFile = `${target}.tmp`;
+
+    await pipeline(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tmpFile));
+
+    if (fs.existsSync(target)) {
+        await fs.promises.appendFile(target, await fs.promises.readFile(tmpFile));
+        await fs.promises.unlink(tmpFile);
+    } else {
+        await fs.promises.rename(tmpFile, target);
+    }
+    await fs.promises.unlink(filePath);
+}
+
+// Contents of a usage-*.jsonl or usage-*.jsonl.gz file as text
+function readLogFile(filePath) {
+    const data = fs.readFileSync(filePath);
+    return (filePath.endsWith('.gz') ? zlib.gunzipSync(data) : data).toString('utf8');
+}
+
+module.exports = new LogMaintenance();
+module.exports.LOG_FILE = LOG_FILE;
+module.exports.readLogFile = readLogFile;
@@ -1,61 +1,133 @@
 // logger.js
 const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
+const { resolveModel } = require('./modelAliases');
+const UsageStore = require('./usageStore');
+const pricing = require('./pricing');
+const log = require('./log');
 
-class UsageLogger {
+// Emits 'usage' with each log entry so other components (rate limiting, ...)
+// can act on the usage extracted here without re-parsing responses
+class UsageLogger extends EventEmitter {
     constructor() {
+        super();
         // Use /tmp on Railway for now (or add volume later)
         this.logsDir = process.env.LOGS_DIR || path.join('/tmp', 'logs');
         this.ensureLogsDirectory();
-        console.log(`📁 Logs directory: ${this.logsDir}`);
+        log.info('Logs directory', { dir: this.logsDir });
+        
+        // Usage entries and per-user summaries live in SQLite; the daily JSONL
+        // files are an optional extra sink (USAGE_JSONL=false turns them off)
+        this.store = new UsageStore(process.env.USAGE_DB_FILE || path.join(this.logsDir, 'usage.db'));
+        this.jsonlEnabled = process.env.USAGE_JSONL !== 'false';
+        log.info('Usage store opened', { file: this.store.dbFile, jsonl: this.jsonlEnabled });
     }
     
     async ensureLogsDirectory() {
         try {
             await fs.mkdir(this.logsDir, { recursive: true });
-            console.log('✅ Logs directory ready');
+            log.debug('Logs directory ready', { dir: this.logsDir });
         } catch (error) {
-            console.error('❌ Failed to create logs directory:', error);
+            log.error('Failed to create logs directory', { dir: this.logsDir, error });
         }
     }
     
-    async logRequest(userId, endpoint, model, requestData, responseData) {
+    async logRequest(userId, endpoint, model, requestData, responseData, meta = {}) {
         const timestamp = new Date().toISOString();
         const date = timestamp.split('T')[0];
         
-        // Determine provider from endpoint or model
-        const provider = this.detectProvider(endpoint, model);
+        // Aliases (e.g. 'fast') are logged and priced as the model they stand for
+        const resolved = resolveModel(model);
+        model = resolved.model;
+        const modelAlias = resolved.alias ||
+            (meta.requestedModel ? resolveModel(meta.requestedModel).alias : null);
+        
+        // Determine provider from endpoint or model, unless the caller knows which one served it
+        const provider = meta.provider ||
+            (resolved.alias ? resolved.provider : this.detectProvider(endpoint, model));
+        
+        const usage = toChatUsage(responseData?.usage);
+        const audioSeconds = meta.audioSeconds || 0;
+        // Image endpoints pass the number of generated images; chat counts input images
+        const images = meta.images ?? countImageInputs(requestData);
+        const characters = meta.characters || 0;
+        const price = pricing.calculate({
+            model,
+            usage,
+            audioSeconds,
+            images,
+            imageOptions: meta.imageOptions,
+            characters,
+            timestamp
+        });
         
         const logEntry = {
             timestamp,
             userId,
+            keyId: meta.keyId || null,
+            team: meta.team || null,
             endpoint,
             provider,
             model,
+            modelAlias,
             tokens: {
-                prompt: responseData?.usage?.prompt_tokens || 0,
-                completion: responseData?.usage?.completion_tokens || 0,
-                total: responseData?.usage?.total_tokens || 0
+                prompt: usage?.prompt_tokens || 0,
+                completion: usage?.completion_tokens || 0,
+                total: usage?.total_tokens || 0,
+                cached: usage?.prompt_tokens_details?.cached_tokens || 0,
+                cacheWrite: usage?.cache_creation_input_tokens || 0
             },
-            cost: this.calculateCost(model, responseData?.usage, provider),
+            audioSeconds,
+            images,
+            // Text-to-speech input length
+            characters,
+            // Cache hits cost nothing; savedCost is what the upstream call would have cost
+            cost: meta.cached ? 0 : price.cost,
+            cached: !!meta.cached,
+            savedCost: meta.cached ? price.cost : 0,
+            // No price for this model in the pricing file; cost is 0 until one is added
+            unpriced: price.unpriced,
             success: !!responseData && !responseData.error,
-            error: responseData?.error?.message || null
+            error: responseData?.error?.message || null,
+            // Set when a soft-mode budget was already spent when the request came in
+            budgetExceeded: meta.budgetExceeded || null,
+            requestId: meta.requestId || null,
+            clientIp: meta.clientIp || null,
+            // HTTP status sent to the client (the upstream's, for retried attempts)
+            status: meta.status ?? null,
+            // Total time in the proxy, the share spent waiting on the upstream,
+            // and for streams the time until the first generated content
+            latencyMs: meta.latencyMs ?? null,
+            upstreamLatencyMs: meta.upstreamLatencyMs ?? null,
+            ttftMs: meta.ttftMs ?? null,
+            upstreamRequestId: meta.upstreamRequestId || null,
+            // Upstream attempt number; retried attempts failed and were followed by another
+            attempt: meta.attempt || 1,
+            retried: !!meta.retried
         };
         
-        // Log to console for Railway logs (visible in dashboard)
-        console.log('📊 Usage:', JSON.stringify(logEntry));
+        // Also in the platform logs (e.g. Railway), next to the access log line
+        log.info('usage', logEntry);
         
-        // Daily log file
-        const logFile = path.join(this.logsDir, `usage-${date}.jsonl`);
+        this.emit('usage', logEntry);
         
         try {
-            await fs.appendFile(logFile, JSON.stringify(logEntry) + '\n');
+            this.store.record(logEntry);
         } catch (error) {
-            console.error('❌ Failed to write log file:', error);
+            log.error('Failed to write usage store', { requestId: logEntry.requestId, error });
         }
         
-        // Update user summary
-        await this.updateUserSummary(userId, logEntry);
+        if (this.jsonlEnabled) {
+            // Daily log file
+            const logFile = path.join(this.logsDir, `usage-${date}.jsonl`);
+            
+            try {
+                await fs.appendFile(logFile, JSON.stringify(logEntry) + '\n');
+            } catch (error) {
+                log.error('Failed to write usage log file', { file: logFile, error });
+            }
+        }
     }
     
     detectProvider(endpoint, model) {
@@ -68,155 +140,162 @@ class UsageLogger {
         }
     }
     
-    calculateCost(model, usage, provider = 'openai') {
-        if (!usage) return 0;
-        
-        // Approximate costs per 1M tokens (update with actual pricing)
-        const pricing = {
-            // OpenAI models
-            'gpt-4': { input: 30, output: 60 },
-            'gpt-4o': { input: 5, output: 15 },
-            'gpt-4o-mini': { input: 0.15, output: 0.6 },
-            'gpt-5': { input: 10, output: 30 },
-            'gpt-5.2': { input: 12, output: 36 },
-            'gpt-5-nano': { input: 2, output: 6 },
-            'o1-preview': { input: 15, output: 60 },
-            'o1-mini': { input: 3, output: 12 },
-            'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
-            
-            // Anthropic models
-            'claude-sonnet-4-20250514': { input: 3, output: 15 },
-            'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-            'claude-3-opus-20240229': { input: 15, output: 75 },
-            'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
-            
-            // Google models
-            'gemini-2.5-pro': { input: 1.25, output: 5 },
-            'gemini-2.0-flash': { input: 0.075, output: 0.3 },
-            'gemini-1.5-pro': { input: 1.25, output: 5 },
-            'gemini-1.5-flash': { input: 0.075, output: 0.3 }
-        };
-        
-        // Default pricing based on provider
-        const defaultPricing = {
-            'openai': { input: 5, output: 15 },
-            'anthropic': { input: 3, output: 15 },
-            'google': { input: 1.25, output: 5 }
-        };
-        
-        const modelPricing = pricing[model] || defaultPricing[provider] || defaultPricing['openai'];
-        const inputCost = (usage.prompt_tokens / 1000000) * modelPricing.input;
-        const outputCost = (usage.completion_tokens / 1000000) * modelPricing.output;
-        
-        return inputCost + outputCost;
+    async getUserStats(userId) {
+        return this.store.getUserSummaries(userId)[userId] || null;
     }
     
-    async updateUserSummary(userId, logEntry) {
-        const summaryFile = path.join(this.logsDir, 'user_summaries.json');
-        
-        try {
-            let summaries = {};
-            
-            try {
-                const data = await fs.readFile(summaryFile, 'utf8');
-                summaries = JSON.parse(data);
-            } catch (error) {
-                // File doesn't exist yet
-            }
-            
-            if (!summaries[userId]) {
-                summaries[userId] = {
-                    firstSeen: logEntry.timestamp,
-                    totalRequests: 0,
-                    totalTokens: 0,
-                    totalCost: 0,
-                    endpointCounts: {},
-                    modelCounts: {},
-                    providerCounts: {}
-                };
-            }
-            
-            const userSummary = summaries[userId];
-            userSummary.totalRequests++;
-            userSummary.totalTokens += logEntry.tokens.total;
-            userSummary.totalCost += logEntry.cost;
-            userSummary.lastSeen = logEntry.timestamp;
-            
-            userSummary.endpointCounts[logEntry.endpoint] =
-                (userSummary.endpointCounts[logEntry.endpoint] || 0) + 1;
-            
-            userSummary.modelCounts[logEntry.model] =
-                (userSummary.modelCounts[logEntry.model] || 0) + 1;
-            
-            userSummary.providerCounts[logEntry.provider] =
-                (userSummary.providerCounts[logEntry.provider] || 0) + 1;
-            
-            await fs.writeFile(summaryFile, JSON.stringify(summaries, null, 2));
-        } catch (error) {
-            console.error('❌ Failed to update user summary:', error);
-        }
+    async getAllUserStats() {
+        return this.store.getUserSummaries();
     }
     
-    async getUserStats(userId) {
-        const summaryFile = path.join(this.logsDir, 'user_summaries.json');
-        
-        try {
-            const data = await fs.readFile(summaryFile, 'utf8');
-            const summaries = JSON.parse(data);
-            return summaries[userId] || null;
-        } catch (error) {
-            return null;
-        }
+    // Today's and this month's cost for one user, or everyone without userId
+    async getSpend(userId = null) {
+        const today = new Date().toISOString().split('T')[0];
+        return this.store.getSpend({ today, monthStart: `${today.substring(0, 7)}-01`, userId });
     }
     
-    async getAllUserStats() {
-        const summaryFile = path.join(this.logsDir, 'user_summaries.json');
-        
-        try {
-            const data = await fs.readFile(summaryFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            return {};
-        }
+    async getRecentLogs(hours = 24, limit = 100) {
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        return this.store.query({ since, limit });
+    }
+    
+    // Requests and distinct users in the last N hours, counted in the store
+    async getRecentActivity(hours = 24) {
+        const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        return this.store.activity(since);
+    }
+    
+    // Log entries filtered by userId, keyId, model, provider and/or a since/until range
+    async queryLogs(filters = {}) {
+        return this.store.query(filters);
+    }
+    
+    // Iterator over every matching log entry, oldest first, for streaming exports
+    iterateLogs(filters = {}) {
+        return this.store.iterate(filters);
+    }
+    
+    // Billing totals per user/team/model/... between `from` and `to` (Dates)
+    async getInvoice({ from, to, groupBy, filters }) {
+        return this.store.invoice({
+            since: from.toISOString(),
+            until: to.toISOString(),
+            groupBy,
+            filters
+        });
     }
     
-    async getRecentLogs(hours = 24) {
-        const logs = [];
-        const now = new Date();
+    // Usage per time bucket between `from` and `to` (Dates), one series per
+    // groupBy value. Empty buckets are filled with zeros so charts line up.
+    async getTimeseries({ from, to, bucket, groupBy, filters }) {
+        const rows = this.store.timeseries({
+            since: from.toISOString(),
+            until: to.toISOString(),
+            bucket,
+            groupBy,
+            filters
+        });
         
-        // Check last few days of log files
-        for (let i = 0; i < 3; i++) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            const logFile = path.join(this.logsDir, `usage-${dateStr}.jsonl`);
-            
-            try {
-                const data = await fs.readFile(logFile, 'utf8');
-                const lines = data.trim().split('\n');
-                
-                for (const line of lines) {
-                    try {
-                        const entry = JSON.parse(line);
-                        const entryTime = new Date(entry.timestamp);
-                        const hoursDiff = (now - entryTime) / (1000 * 60 * 60);
-                        
-                        if (hoursDiff <= hours) {
-                            logs.push(entry);
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON lines
-                    }
-                }
-            } catch (error) {
-                // File doesn't exist, skip
+        const buckets = listBuckets(from, to, bucket);
+        const seriesByGroup = new Map();
+        
+        for (const row of rows) {
+            if (!seriesByGroup.has(row.group)) {
+                seriesByGroup.set(row.group, new Map());
             }
+            seriesByGroup.get(row.group).set(row.bucket, row);
         }
         
-        return logs.sort((a, b) =>
-            new Date(b.timestamp) - new Date(a.timestamp)
-        );
+        const series = [...seriesByGroup.entries()].map(([group, points]) => ({
+            group,
+            points: buckets.map(start => toPoint(start, points.get(start)))
+        }));
+        
+        return {
+            series,
+            totals: toPoint(null, {
+                requests: rows.reduce((sum, row) => sum + row.requests, 0),
+                tokens: rows.reduce((sum, row) => sum + row.tokens, 0),
+                cost: rows.reduce((sum, row) => sum + row.cost, 0),
+                errors: rows.reduce((sum, row) => sum + row.errors, 0),
+                latencies: rows.flatMap(row => row.latencies).sort((a, b) => a - b)
+            })
+        };
     }
 }
 
-module.exports = new UsageLogger();
\ No newline at end of file
+// Bucket start keys between two Dates, formatted like UsageStore.timeseries() buckets
+function listBuckets(from, to, bucket) {
+    const start = new Date(from);
+    start.setUTCMinutes(0, 0, 0);
+    if (bucket !== 'hour') {
+        start.setUTCHours(0);
+    }
+    if (bucket === 'week') {
+        // Back to Monday
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    
+    const step = { hour: 3600000, day: 86400000, week: 7 * 86400000 }[bucket];
+    const buckets = [];
+    for (let time = start.getTime(); time < to.getTime(); time += step) {
+        const iso = new Date(time).toISOString();
+        buckets.push(bucket === 'hour' ? iso : iso.split('T')[0]);
+    }
+    return buckets;
+}
+
+function toPoint(start, row) {
+    const requests = row?.requests || 0;
+    const latencies = row?.latencies || [];
+    const point = {
+        requests,
+        tokens: row?.tokens || 0,
+        cost: parseFloat((row?.cost || 0).toFixed(6)),
+        errors: row?.errors || 0,
+        errorRate: requests > 0 ? parseFloat(((row.errors || 0) / requests).toFixed(4)) : 0,
+        latencyMs: {
+            p50: percentile(latencies, 0.5),
+            p95: percentile(latencies, 0.95),
+            p99: percentile(latencies, 0.99)
+        }
+    };
+    return start === null ? point : { bucket: start, ...point };
+}
+
+// Nearest-rank percentile of an ascending list; null when empty
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+// The images API reports input_tokens/output_tokens; log them like chat tokens
+function toChatUsage(usage) {
+    if (!usage || usage.prompt_tokens !== undefined || usage.input_tokens === undefined) return usage;
+    
+    return {
+        prompt_tokens: usage.input_tokens || 0,
+        completion_tokens: usage.output_tokens || 0,
+        total_tokens: usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    };
+}
+
+// Images sent as input, in OpenAI, Anthropic or Gemini request format
+function countImageInputs(requestData) {
+    let images = 0;
+    
+    for (const msg of requestData?.messages || []) {
+        if (!Array.isArray(msg.content)) continue;
+        images += msg.content.filter(part => part.type === 'image_url' || part.type === 'image').length;
+    }
+    for (const content of requestData?.contents || []) {
+        images += (content.parts || []).filter(part => {
+            const data = part.inline_data || part.inlineData;
+            return (data?.mime_type || data?.mimeType || '').startsWith('image/');
+        }).length;
+    }
+    
+    return images;
+}
+
+module.exports = new UsageLogger();
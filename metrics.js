@@ -0,0 +1,216 @@
+// metrics.js
+const axios = require('axios');
+const client = require('prom-client');
+const logger = require('./logger');
+const pricing = require('./pricing');
+
+const UPSTREAM_HOSTS = {
+    'api.openai.com': 'openai',
+    'api.anthropic.com': 'anthropic',
+    'generativelanguage.googleapis.com': 'google'
+};
+
+// Prometheus metrics, served in text format at /metrics. Request counts,
+// durations, in-flight requests and cache lookups are recorded by
+// loggingMiddleware, so they cover every proxied route; token and cost
+// counters follow the logger's 'usage' events; upstream calls are timed by
+// axios interceptors, which also see retried and failed-over attempts.
+class Metrics {
+    constructor() {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry });
+
+        const registers = [this.registry];
+
+        this.requests = new client.Counter({
+            name: 'llm_proxy_requests_total',
+            help: 'Proxied requests by endpoint, serving provider and HTTP status',
+            labelNames: ['endpoint', 'provider', 'status'],
+            registers
+        });
+
+        this.requestDuration = new client.Histogram({
+            name: 'llm_proxy_request_duration_seconds',
+            help: 'Time from receiving a proxied request until its response (or stream) ended',
+            labelNames: ['endpoint', 'provider'],
+            buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+            registers
+        });
+
+        this.inFlight = new client.Gauge({
+            name: 'llm_proxy_in_flight_requests',
+            help: 'Proxied requests currently being served',
+            registers
+        });
+
+        this.upstreamDuration = new client.Histogram({
+            name: 'llm_proxy_upstream_duration_seconds',
+            help: 'Upstream API latency until response headers (first byte for streams)',
+            labelNames: ['provider', 'status'],
+            buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+            registers
+        });
+
+        this.upstreamErrors = new client.Counter({
+            name: 'llm_proxy_upstream_errors_total',
+            help: 'Failed upstream calls by provider and HTTP status or network error code',
+            labelNames: ['provider', 'status'],
+            registers
+        });
+
+        this.tokens = new client.Counter({
+            name: 'llm_proxy_tokens_total',
+            help: 'Tokens used upstream by provider, model and type (prompt, completion, cached); unpriced models are "other"',
+            labelNames: ['provider', 'model', 'type'],
+            registers
+        });
+
+        this.cost = new client.Counter({
+            name: 'llm_proxy_cost_usd_total',
+            help: 'Estimated upstream cost in USD by provider and model; unpriced models are "other"',
+            labelNames: ['provider', 'model'],
+            registers
+        });
+
+        this.cacheLookups = new client.Counter({
+            name: 'llm_proxy_cache_lookups_total',
+            help: 'Response cache lookups by result (hit, miss)',
+            labelNames: ['result'],
+            registers
+        });
+
+        const cacheCounts = this.cacheCounts = { hit: 0, miss: 0 };
+        new client.Gauge({
+            name: 'llm_proxy_cache_hit_ratio',
+            help: 'Share of response cache lookups served from the cache since startup',
+            registers,
+            collect() {
+                const lookups = cacheCounts.hit + cacheCounts.miss;
+                this.set(lookups > 0 ? cacheCounts.hit / lookups : 0);
+            }
+        });
+
+        logger.on('usage', logEntry => this.recordUsage(logEntry));
+        this.instrumentAxios();
+    }
+
+    // Called by loggingMiddleware for each proxied request. `provider` is
+    // worked out when the request comes in; the provider that actually served
+    // it (after a failover) wins when the response ends.
+    trackRequest(req, res, { provider }) {
+        const startedAt = Date.now();
+        let finished = false;
+
+        this.inFlight.inc();
+
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+
+            this.inFlight.dec();
+
+            const labels = {
+                endpoint: endpointLabel(req),
+                provider: res.locals.servedBy?.provider || provider || 'none'
+            };
+            const status = res.writableFinished ? String(res.statusCode) : 'aborted';
+
+            this.requests.inc({ ...labels, status });
+            this.requestDuration.observe(labels, (Date.now() - startedAt) / 1000);
+
+            const cacheResult = res.getHeader('X-Proxy-Cache');
+            if (cacheResult) {
+                const result = cacheResult === 'HIT' ? 'hit' : 'miss';
+                this.cacheCounts[result]++;
+                this.cacheLookups.inc({ result });
+            }
+        };
+
+        res.on('finish', finish);
+        res.on('close', finish);
+    }
+
+    // Cache hits used no upstream tokens, and cost nothing. Zero increments
+    // are skipped: they would still create a series.
+    recordUsage(logEntry) {
+        const labels = { provider: logEntry.provider || 'unknown', model: modelLabel(logEntry.model) };
+
+        if (!logEntry.cached) {
+            for (const type of ['prompt', 'completion', 'cached']) {
+                if (logEntry.tokens[type] > 0) {
+                    this.tokens.inc({ ...labels, type }, logEntry.tokens[type]);
+                }
+            }
+        }
+        if (logEntry.cost > 0) {
+            this.cost.inc(labels, logEntry.cost);
+        }
+    }
+
+    instrumentAxios() {
+        axios.interceptors.request.use(config => {
+            config.metricsStartedAt = Date.now();
+            return config;
+        });
+
+        axios.interceptors.response.use(
+            response => {
+                this.recordUpstream(response.config, String(response.status));
+                return response;
+            },
+            error => {
+                const status = error.response ? String(error.response.status) : error.code || 'error';
+                this.recordUpstream(error.config, status, true);
+                return Promise.reject(error);
+            }
+        );
+    }
+
+    recordUpstream(config, status, failed = false) {
+        const provider = upstreamProvider(config?.url);
+        if (!provider || !config.metricsStartedAt) return;
+
+        this.upstreamDuration.observe({ provider, status }, (Date.now() - config.metricsStartedAt) / 1000);
+        if (failed) {
+            this.upstreamErrors.inc({ provider, status });
+        }
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    async render() {
+        return this.registry.metrics();
+    }
+}
+
+function upstreamProvider(url) {
+    try {
+        return UPSTREAM_HOSTS[new URL(url).hostname] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Clients choose the model name, so only models in the pricing table get a
+// label value of their own (dated snapshots share their base model's); the
+// rest are counted together
+function modelLabel(model) {
+    if (!model) return 'unknown';
+    return pricing.findModel(model) || 'other';
+}
+
+// The matched route's pattern (/files/:fileId), not the path, so IDs in URLs
+// and typos in unrouted paths don't add a label value each. /api routes keep
+// their short names, as in the usage log.
+function endpointLabel(req) {
+    if (!req.route) return 'unmatched';
+
+    const pattern = typeof req.route.path === 'string'
+        ? req.baseUrl + req.route.path
+        : String(req.route.path);
+    return pattern.startsWith('/api/') ? pattern.slice('/api'.length) : pattern;
+}
+
+module.exports = new Metrics();
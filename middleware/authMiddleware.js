@@ -0,0 +1,209 @@
+// middleware/authMiddleware.js
+const crypto = require('crypto');
+const keyStore = require('../keyStore');
+const { resolveModel } = require('../modelAliases');
+const { OPENAI_DEFAULT_MODELS, normalizeProvider } = require('../providers');
+const { DEFAULT_MODELS: CHAT_DEFAULT_MODELS } = require('../converters');
+const { DEFAULT_MODELS: EMBEDDING_DEFAULT_MODELS } = require('../embeddings');
+const { readSession } = require('../sessions');
+const log = require('../log');
+
+const API_SECRET = process.env.API_SECRET;
+
+// Work out which upstream provider a proxied request is headed for
+function resolveProvider(req) {
+    const route = req.path;
+
+    // The OpenAI-compatible /v1 routes pick the provider from the model name
+    if (req.baseUrl === '/v1' && route.startsWith('/chat')) {
+        return resolveModel(req.body?.model).provider;
+    }
+
+    // Embeddings take an explicit provider or go by the model name
+    if (route.startsWith('/embeddings')) {
+        return req.body?.provider
+            ? normalizeProvider(req.body.provider)
+            : resolveModel(req.body?.model).provider;
+    }
+
+    if (route.startsWith('/anthropic')) return 'anthropic';
+    if (route.startsWith('/google')) return 'google';
+    if (route.startsWith('/chat') || route.startsWith('/audio') || route.startsWith('/images')) return 'openai';
+
+    if (route.startsWith('/unified')) {
+        return normalizeProvider(req.body?.provider || 'openai');
+    }
+
+    return null;
+}
+
+// The model a request will be served with: the one it names or, when it
+// names none, the default its handler fills in. Allowlists name real
+// models, so aliases are resolved first.
+function resolveRequestModel(req, provider) {
+    if (req.body?.model) return resolveModel(req.body.model).model;
+
+    const route = req.path;
+    if (route.startsWith('/audio/speech')) return OPENAI_DEFAULT_MODELS.speech;
+    if (route.startsWith('/audio')) return OPENAI_DEFAULT_MODELS.transcription;
+    if (route.startsWith('/images')) return OPENAI_DEFAULT_MODELS.image;
+    if (route.startsWith('/embeddings')) return EMBEDDING_DEFAULT_MODELS[provider] || null;
+    if (/^\/(chat|anthropic|google|unified)\//.test(route)) return CHAT_DEFAULT_MODELS[provider] || null;
+
+    return null;
+}
+
+// Model names are strings; anything else would break provider and alias
+// lookups further down. Sends the 400 and returns false for other values.
+function hasValidModel(req, res) {
+    const model = req.body?.model;
+    if (model === undefined || model === null || typeof model === 'string') return true;
+
+    res.status(400).json({
+        error: { message: "'model' must be a string", type: 'invalid_request_error', param: 'model' }
+    });
+    return false;
+}
+
+// Middleware to verify requests from your app. Each client authenticates with
+// its own issued proxy key; the key decides who the caller is and what it may use.
+function verifyRequest(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        log.info('Missing or invalid Authorization header', { requestId: req.id, path: req.originalUrl });
+        return res.status(401).json({ error: 'Unauthorized: Missing or invalid Authorization header' });
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    if (API_SECRET && token === API_SECRET) {
+        if (!hasValidModel(req, res)) return;
+
+        // Legacy shared secret: the caller still names itself via x-user-id,
+        // so its analytics cannot be trusted. Migrate clients to issued keys.
+        req.apiKey = {
+            id: 'legacy',
+            userId: req.headers['x-user-id'] || 'unknown',
+            team: null,
+            allowedProviders: null,
+            allowedModels: null,
+            legacy: true
+        };
+        return next();
+    }
+
+    const record = keyStore.verify(token);
+
+    if (!record) {
+        log.info('Invalid or disabled API key', { requestId: req.id, path: req.originalUrl });
+        return res.status(401).json({ error: 'Unauthorized: Invalid or disabled API key' });
+    }
+
+    if (!hasValidModel(req, res)) return;
+
+    const provider = resolveProvider(req);
+    const model = resolveRequestModel(req, provider);
+
+    if (!keyStore.isProviderAllowed(record, provider)) {
+        return res.status(403).json({
+            error: {
+                message: `This key is not allowed to use provider: ${provider}`,
+                type: 'permission_error'
+            }
+        });
+    }
+
+    if (!keyStore.isModelAllowed(record, model)) {
+        return res.status(403).json({
+            error: {
+                message: `This key is not allowed to use model: ${model}`,
+                type: 'permission_error'
+            }
+        });
+    }
+
+    req.apiKey = record;
+    next();
+}
+
+const ROLE_LEVELS = { viewer: 1, admin: 2 };
+
+function secretMatches(token, secret) {
+    if (!token || !secret) return false;
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// ADMIN_SECRET grants 'admin', ANALYTICS_SECRET the read-only 'viewer' role
+function roleForSecret(secret) {
+    if (secretMatches(secret, process.env.ADMIN_SECRET)) return 'admin';
+    if (secretMatches(secret, process.env.ANALYTICS_SECRET)) return 'viewer';
+    return null;
+}
+
+// The operator role behind a request, from a bearer secret or else a
+// dashboard login session. Null when neither checks out.
+function resolveRole(req) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+    if (token) {
+        return roleForSecret(token);
+    }
+
+    return readSession(req)?.role || null;
+}
+
+function isAnalyticsPublic() {
+    return process.env.ANALYTICS_PUBLIC === 'true';
+}
+
+// Operator routes (analytics, dashboard, admin API) use their own credentials
+// so client keys can never read other users' usage or manage keys. Viewer
+// routes can be opened up with ANALYTICS_PUBLIC=true.
+function requireRole(role) {
+    return function(req, res, next) {
+        if (role === 'viewer' && isAnalyticsPublic()) {
+            return next();
+        }
+
+        if (!process.env.ADMIN_SECRET && (role === 'admin' || !process.env.ANALYTICS_SECRET)) {
+            return res.status(503).json({
+                error: {
+                    message: role === 'admin'
+                        ? 'Admin API not configured'
+                        : 'Analytics not configured (set ADMIN_SECRET or ANALYTICS_SECRET, or ANALYTICS_PUBLIC=true)',
+                    type: 'configuration_error'
+                }
+            });
+        }
+
+        const actualRole = resolveRole(req);
+
+        if (!actualRole) {
+            log.info(`Invalid ${role} credential`, { requestId: req.id, path: req.originalUrl });
+            return res.status(401).json({ error: `Unauthorized: Invalid ${role} credential` });
+        }
+
+        if (ROLE_LEVELS[actualRole] < ROLE_LEVELS[role]) {
+            return res.status(403).json({
+                error: { message: `This credential is read-only; ${role} role required`, type: 'permission_error' }
+            });
+        }
+
+        req.operatorRole = actualRole;
+        next();
+    };
+}
+
+const verifyAdmin = requireRole('admin');
+
+module.exports = verifyRequest;
+module.exports.verifyAdmin = verifyAdmin;
+module.exports.requireRole = requireRole;
+module.exports.resolveRole = resolveRole;
+module.exports.roleForSecret = roleForSecret;
+module.exports.isAnalyticsPublic = isAnalyticsPublic;
+module.exports.resolveProvider = resolveProvider;
@@ -0,0 +1,55 @@
+// middleware/budgetMiddleware.js
+const budgets = require('../budgets');
+const log = require('../log');
+
+// Stop (hard mode) or flag (soft mode) requests once the user's or the
+// proxy-wide daily/monthly budget has been spent
+async function budgetMiddleware(req, res, next) {
+    const userId = req.apiKey?.userId || 'unknown';
+
+    try {
+        const status = await budgets.getStatus(userId);
+        const exceeded = [];
+
+        for (const [scope, scopeStatus] of Object.entries(status)) {
+            for (const period of ['daily', 'monthly']) {
+                if (scopeStatus[period].exceeded) {
+                    exceeded.push({ scope, period, mode: scopeStatus.mode, limit: scopeStatus[period].limit });
+                }
+            }
+        }
+
+        if (exceeded.length === 0) {
+            return next();
+        }
+
+        const hardStop = exceeded.find(entry => entry.mode === 'hard');
+        if (hardStop) {
+            const owner = hardStop.scope === 'user' ? 'User' : 'Global';
+            log.info(`${owner} budget exceeded`, {
+                requestId: req.id,
+                userId,
+                period: hardStop.period,
+                limit: hardStop.limit
+            });
+            return res.status(402).json({
+                error: {
+                    message: `${owner} ${hardStop.period} budget of $${hardStop.limit} has been exceeded`,
+                    type: 'insufficient_quota',
+                    code: 'budget_exceeded'
+                }
+            });
+        }
+
+        // Soft mode: let the request through but mark it for the client and the usage log
+        req.budgetExceeded = exceeded.map(entry => `${entry.scope}-${entry.period}`);
+        res.set('X-Budget-Exceeded', req.budgetExceeded.join(','));
+        next();
+    } catch (error) {
+        // Never block traffic because the usage summary could not be read
+        log.error('Budget check failed', { requestId: req.id, error });
+        next();
+    }
+}
+
+module.exports = budgetMiddleware;
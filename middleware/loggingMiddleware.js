@@ -1,12 +1,23 @@
 // middleware/loggingMiddleware.js
 const logger = require('../logger');
+const log = require('../log');
+const metrics = require('../metrics');
+const captureStore = require('../captureStore');
+const { resolveProvider } = require('./authMiddleware');
 
 async function loggingMiddleware(req, res, next) {
-    const userId = req.headers['x-user-id'] || 'unknown';
-    const endpoint = req.path;
+    // Identity comes from the authenticated key (see authMiddleware), not a client header
+    const userId = req.apiKey?.userId || 'unknown';
+    // /api routes keep their historical short names; /v1 routes are logged in full
+    const endpoint = req.baseUrl === '/api' ? req.path : req.baseUrl + req.path;
     const model = req.body?.model;
+    // Set by requestIdMiddleware, so latency includes authentication and quota checks
+    const startedAt = res.locals.startedAt || Date.now();
     
-    console.log(`📝 Request from user: ${userId.substring(0, 12)}..., endpoint: ${endpoint}, model: ${model}`);
+    log.debug('Proxying request', { requestId: req.id, userId, endpoint, model });
+    
+    // Prometheus request metrics (see metrics.js)
+    metrics.trackRequest(req, res, { provider: resolveProvider(req) });
     
     // Capture the original json and send functions
     const originalJson = res.json.bind(res);
@@ -29,11 +40,82 @@ async function loggingMiddleware(req, res, next) {
         return originalSend(data);
     };
     
+    // res.json goes through res.send, so guard against logging one response twice
+    let logged = false;
+    
     function logResponse(responseData) {
-        logger.logRequest(userId, endpoint, model, req.body, responseData)
-            .catch(err => console.error('❌ Logging error:', err));
+        if (logged) return;
+        logged = true;
+        
+        // After a failover the response came from a different provider/model
+        const servedBy = res.locals.servedBy || {};
+        
+        logger.logRequest(userId, endpoint, servedBy.model || model, req.body, responseData, {
+            ...baseMeta(),
+            provider: servedBy.provider,
+            attempt: servedBy.attempt,
+            cached: !!res.locals.cached,
+            // Billable audio length, set by the audio handlers
+            audioSeconds: res.locals.audioSeconds,
+            // Generated images (and their size/quality) and text-to-speech
+            // characters, set by the image and speech handlers
+            images: res.locals.images,
+            imageOptions: res.locals.imageOptions,
+            characters: res.locals.characters,
+            // Streams only: first generated content sent to the client
+            ttftMs: res.locals.firstTokenAt ? res.locals.firstTokenAt - startedAt : null
+        })
+            .catch(err => log.error('Usage logging failed', { requestId: req.id, error: err }));
+        
+        // Opt-in, redacted copy of the exchange (see captureStore.js); for
+        // streams the response is the summary
+        captureStore.capture({
+            requestId: req.id,
+            userId,
+            keyId: req.apiKey?.id,
+            endpoint,
+            model: servedBy.model || model,
+            status: res.statusCode,
+            request: req.body,
+            response: responseData
+        });
+    }
+    
+    function baseMeta() {
+        return {
+            keyId: req.apiKey?.id || null,
+            team: req.apiKey?.team || null,
+            budgetExceeded: req.budgetExceeded || null,
+            requestedModel: model,
+            requestId: req.id || null,
+            clientIp: req.ip || null,
+            // Already set by res.status() when the response body is logged
+            status: res.statusCode,
+            // Until the response (or the end of the stream) was sent
+            latencyMs: Date.now() - startedAt,
+            // The upstream call behind this entry, set by the handlers (see failover.js)
+            upstreamLatencyMs: res.locals.upstream?.latencyMs ?? null,
+            upstreamRequestId: res.locals.upstream?.requestId || null
+        };
     }
     
+    // Streamed responses never reach res.json, so the stream handlers call this
+    // with an OpenAI-shaped summary (including usage) once the stream has ended
+    res.logCompletion = logResponse;
+    
+    // Failed upstream attempts that were retried or failed over get their own entry
+    res.logAttempt = function(responseData, { provider, model: attemptModel, attempt, status }) {
+        logger.logRequest(userId, endpoint, attemptModel || model, req.body, responseData, {
+            ...baseMeta(),
+            provider,
+            attempt,
+            // The upstream's status; nothing has been sent to the client yet
+            status: status || null,
+            retried: true
+        })
+            .catch(err => log.error('Usage logging failed', { requestId: req.id, error: err }));
+    };
+    
     next();
 }
 
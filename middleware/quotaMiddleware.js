@@ -0,0 +1,48 @@
+// middleware/quotaMiddleware.js
+const logger = require('../logger');
+const keyStore = require('../keyStore');
+const log = require('../log');
+
+// Enforce the daily request/token quotas set for a user through the admin API.
+// Runs after verifyRequest, so req.apiKey identifies the caller.
+async function quotaMiddleware(req, res, next) {
+    const userId = req.apiKey?.userId;
+    const quotas = keyStore.getUser(userId)?.quotas;
+
+    if (!quotas || Object.keys(quotas).length === 0) {
+        return next();
+    }
+
+    try {
+        const stats = await logger.getUserStats(userId);
+        const today = new Date().toISOString().split('T')[0];
+        const usage = stats?.dailyUsage?.[today] || { requests: 0, tokens: 0 };
+
+        if (quotas.requestsPerDay && usage.requests >= quotas.requestsPerDay) {
+            return rejectQuota(res, `Daily request quota of ${quotas.requestsPerDay} reached`);
+        }
+
+        if (quotas.tokensPerDay && usage.tokens >= quotas.tokensPerDay) {
+            return rejectQuota(res, `Daily token quota of ${quotas.tokensPerDay} reached`);
+        }
+
+        next();
+    } catch (error) {
+        // Never block traffic because the usage summary could not be read
+        log.error('Quota check failed', { requestId: req.id, error });
+        next();
+    }
+}
+
+function rejectQuota(res, message) {
+    log.info('Quota exceeded', { requestId: res.locals.requestId, reason: message });
+    return res.status(429).json({
+        error: {
+            message,
+            type: 'insufficient_quota',
+            code: 'insufficient_quota'
+        }
+    });
+}
+
+module.exports = quotaMiddleware;
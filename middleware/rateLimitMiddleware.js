@@ -0,0 +1,28 @@
+// middleware/rateLimitMiddleware.js
+const rateLimiter = require('../rateLimiter');
+const { resolveProvider } = require('./authMiddleware');
+const log = require('../log');
+
+// Reject requests over the caller's RPM/TPM limits before anything is sent upstream
+function rateLimitMiddleware(req, res, next) {
+    const userId = req.apiKey?.userId || 'unknown';
+    const result = rateLimiter.check(userId, resolveProvider(req));
+
+    if (result.allowed) {
+        return next();
+    }
+
+    log.info('Rate limited', { requestId: req.id, userId, reason: result.message });
+
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+        error: {
+            message: result.message,
+            type: result.type,
+            param: null,
+            code: 'rate_limit_exceeded'
+        }
+    });
+}
+
+module.exports = rateLimitMiddleware;
@@ -0,0 +1,50 @@
+// middleware/requestIdMiddleware.js
+const crypto = require('crypto');
+const log = require('../log');
+
+// Client-supplied IDs are kept when they are short and plain enough to be
+// safe in headers and logs; anything else gets a fresh ID
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Gives every /api and /v1 call an X-Request-Id (the client's own or a new
+// UUID), echoes it in the response and writes one access log line when the
+// response ends. Runs before authentication so rejected calls are traced too.
+function requestIdMiddleware(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = requestId;
+    res.locals.requestId = requestId;
+    res.locals.startedAt = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    res.on('close', () => logAccess(req, res));
+
+    next();
+}
+
+function logAccess(req, res) {
+    const { startedAt, servedBy, upstream, firstTokenAt } = res.locals;
+
+    log.info('request', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        // Client went away before the response was complete
+        aborted: !res.writableFinished || undefined,
+        latencyMs: Date.now() - startedAt,
+        upstreamLatencyMs: upstream?.latencyMs,
+        ttftMs: firstTokenAt ? firstTokenAt - startedAt : undefined,
+        provider: servedBy?.provider,
+        model: servedBy?.model,
+        attempts: servedBy?.attempt,
+        cached: res.locals.cached || undefined,
+        upstreamRequestId: upstream?.requestId,
+        userId: req.apiKey?.userId,
+        keyId: req.apiKey?.id,
+        ip: req.ip
+    });
+}
+
+module.exports = requestIdMiddleware;
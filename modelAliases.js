@@ -0,0 +1,53 @@
+// modelAliases.js
+const keyStore = require('./keyStore');
+const { PROVIDER_LABELS, providerForModel } = require('./providers');
+const log = require('./log');
+
+// Friendly model names, e.g. MODEL_ALIASES='{"fast": "gemini-2.0-flash", "smart": "anthropic:claude-sonnet-4-20250514"}'.
+// Aliases set through the admin API are merged over these at lookup time.
+const ENV_ALIASES = loadEnvAliases();
+
+function loadEnvAliases() {
+    if (!process.env.MODEL_ALIASES) return {};
+
+    try {
+        return JSON.parse(process.env.MODEL_ALIASES);
+    } catch (error) {
+        log.error('Invalid JSON in MODEL_ALIASES', error);
+        return {};
+    }
+}
+
+function getAliases() {
+    return { ...ENV_ALIASES, ...(keyStore.getSettings().modelAliases || {}) };
+}
+
+// Resolve a client-supplied model name to the provider and real model that
+// serve it. Targets may pin the provider explicitly as "provider:model".
+// Only the aliases' own keys count, so "toString" is just a model name.
+function resolveModel(name) {
+    const aliases = getAliases();
+    const target = (typeof name === 'string' && Object.hasOwn(aliases, name) && aliases[name]) || name;
+
+    if (typeof target === 'string') {
+        const separator = target.indexOf(':');
+        if (separator > 0 && PROVIDER_LABELS[target.substring(0, separator)]) {
+            return {
+                provider: target.substring(0, separator),
+                model: target.substring(separator + 1),
+                alias: target !== name ? name : null
+            };
+        }
+    }
+
+    return {
+        provider: providerForModel(target),
+        model: target,
+        alias: target !== name ? name : null
+    };
+}
+
+module.exports = {
+    getAliases,
+    resolveModel
+};
@@ -0,0 +1,144 @@
+// pricing.js
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const log = require('./log');
+
+// Model prices loaded from PRICING_FILE (JSON or YAML, default ./pricing.json).
+// Each model has a list of price entries with an effectiveFrom date so a
+// price change does not rewrite what earlier requests cost. Reload at runtime
+// with SIGHUP or POST /admin/pricing/reload.
+class PricingTable {
+    constructor() {
+        this.file = process.env.PRICING_FILE || path.join(__dirname, 'pricing.json');
+        this.version = null;
+        this.models = {};
+        this.warnedModels = new Set();
+
+        try {
+            this.load();
+        } catch (error) {
+            log.error('Failed to load pricing', { file: this.file, error });
+        }
+
+        process.on('SIGHUP', () => {
+            try {
+                this.load();
+            } catch (error) {
+                log.error('Pricing reload failed, keeping the previous table', { file: this.file, error });
+            }
+        });
+    }
+
+    // Throws on an unreadable or invalid file and keeps the current table
+    load() {
+        const text = fs.readFileSync(this.file, 'utf8');
+        const data = /\.ya?ml$/i.test(this.file) ? yaml.load(text) : JSON.parse(text);
+
+        if (!data || typeof data.models !== 'object' || Array.isArray(data.models)) {
+            throw new Error('pricing file must have a "models" object');
+        }
+
+        const models = {};
+        for (const [model, entries] of Object.entries(data.models)) {
+            const list = Array.isArray(entries) ? entries : [entries];
+            for (const entry of list) {
+                if (!entry || typeof entry !== 'object' || !/^\d{4}-\d{2}-\d{2}/.test(String(entry.effectiveFrom))) {
+                    throw new Error(`${model}: every price entry needs an effectiveFrom date (YYYY-MM-DD)`);
+                }
+            }
+            models[model] = list
+                .map(entry => ({ ...entry, effectiveFrom: String(entry.effectiveFrom).substring(0, 10) }))
+                .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        }
+
+        this.models = models;
+        this.version = data.version || null;
+        this.warnedModels.clear();
+        log.info('Pricing loaded', { file: this.file, version: this.version, models: Object.keys(models).length });
+        return { version: this.version, models: Object.keys(models).length };
+    }
+
+    // Exact name first, then the longest listed model the name extends,
+    // so dated snapshots like gpt-4o-2024-08-06 use the gpt-4o prices
+    findModel(model) {
+        if (!model) return null;
+        if (this.models[model]) return model;
+
+        let match = null;
+        for (const name of Object.keys(this.models)) {
+            if (model.startsWith(`${name}-`) && (!match || name.length > match.length)) {
+                match = name;
+            }
+        }
+        return match;
+    }
+
+    // The price entry in effect at `timestamp`. Requests from before a model's
+    // first entry use that first entry.
+    getPrice(model, timestamp = new Date().toISOString()) {
+        const name = this.findModel(model);
+        if (!name) return null;
+
+        const date = timestamp.substring(0, 10);
+        const entries = this.models[name];
+        let price = entries[0];
+        for (const entry of entries) {
+            if (entry.effectiveFrom <= date) price = entry;
+        }
+        return price;
+    }
+
+    // Cost of one request. `usage` is OpenAI-shaped: prompt_tokens includes
+    // cached tokens (prompt_tokens_details.cached_tokens) and Anthropic cache
+    // writes (cache_creation_input_tokens). `imageOptions` ({ size, quality })
+    // picks the per-image price of generated images; `characters` is the
+    // text-to-speech input length. Unknown models cost 0 and are flagged as
+    // unpriced instead of being guessed at.
+    calculate({ model, usage, audioSeconds = 0, images = 0, imageOptions = null, characters = 0, timestamp }) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+        const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+        const cacheWriteTokens = usage?.cache_creation_input_tokens || 0;
+
+        if (!promptTokens && !completionTokens && !audioSeconds && !images && !characters) {
+            return { cost: 0, unpriced: false };
+        }
+
+        const price = this.getPrice(model, timestamp);
+        if (!price) {
+            if (!this.warnedModels.has(model)) {
+                this.warnedModels.add(model);
+                log.warn('No pricing for model; its usage is logged as unpriced', { model });
+            }
+            return { cost: 0, unpriced: true };
+        }
+
+        const input = price.input || 0;
+        const uncachedTokens = Math.max(0, promptTokens - cachedTokens - cacheWriteTokens);
+
+        const cost =
+            (uncachedTokens * input +
+                cachedTokens * (price.cachedInput ?? input) +
+                cacheWriteTokens * (price.cacheWrite ?? input) +
+                completionTokens * (price.output || 0)) / 1000000 +
+            (audioSeconds / 60) * (price.perMinute || 0) +
+            images * imagePrice(price.perImage, imageOptions || {}) +
+            (characters / 1000000) * (price.perMillionCharacters || 0);
+
+        return { cost, unpriced: false };
+    }
+
+    toJSON() {
+        return { file: this.file, version: this.version, models: this.models };
+    }
+}
+
+// perImage is a number, or prices by size with optional quality-specific
+// entries, e.g. { "1024x1024": 0.04, "hd:1024x1024": 0.08, "default": 0.04 }
+function imagePrice(perImage, { size, quality }) {
+    if (!perImage || typeof perImage !== 'object') return perImage || 0;
+    return perImage[`${quality}:${size}`] ?? perImage[size] ?? perImage.default ?? 0;
+}
+
+module.exports = new PricingTable();
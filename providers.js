@@ -0,0 +1,211 @@
+// providers.js
+// Upstream chat calls for each provider. The format translations live in converters.js.
+const axios = require('axios');
+const {
+    pipeOpenAIStream,
+    pipeAnthropicStream,
+    pipeGeminiStream
+} = require('./streaming');
+const {
+    DEFAULT_MODELS,
+    buildAnthropicRequest,
+    transformAnthropicResponse,
+    buildGeminiRequest,
+    transformGeminiResponse
+} = require('./converters');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+
+const UPSTREAM_TIMEOUT = 190000; // 190 seconds
+
+const PROVIDER_LABELS = {
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
+    google: 'Google Gemini'
+};
+
+// Models the OpenAI audio and image endpoints use when the request names none
+const OPENAI_DEFAULT_MODELS = {
+    transcription: 'whisper-1',
+    image: 'dall-e-2',
+    speech: 'tts-1'
+};
+
+function isProviderConfigured(provider) {
+    switch (provider) {
+        case 'openai': return !!OPENAI_API_KEY;
+        case 'anthropic': return !!ANTHROPIC_API_KEY;
+        case 'google': return !!GOOGLE_API_KEY;
+        default: return false;
+    }
+}
+
+// Accept the provider names and nicknames clients use; null if unknown
+function normalizeProvider(name) {
+    switch (String(name).toLowerCase()) {
+        case 'openai':
+            return 'openai';
+        case 'anthropic':
+        case 'claude':
+            return 'anthropic';
+        case 'google':
+        case 'gemini':
+            return 'google';
+        default:
+            return null;
+    }
+}
+
+// Guess the provider that serves a model from its name
+function providerForModel(model) {
+    if (model?.startsWith('claude')) return 'anthropic';
+    if (model?.startsWith('gemini')) return 'google';
+    // Gemini's older embedding models (OpenAI's are text-embedding-3-* and -ada-002)
+    if (/^(text-embedding-00\d|embedding-\d)/.test(model || '')) return 'google';
+    return 'openai';
+}
+
+// Send a chat request to one provider. `body` is the client's request,
+// translated here into the provider's own format. Resolves with the raw
+// axios response (a stream when `stream` is set); rejects on upstream errors.
+// `requestId` is forwarded to providers that accept a client request ID.
+async function sendChatRequest(provider, body, { stream = false, requestId = null } = {}) {
+    switch (provider) {
+        case 'openai': {
+            let requestBody = { ...body };
+            delete requestBody.provider;
+            
+            // Some bridged bodies carry Anthropic's top-level system prompt
+            if (requestBody.system) {
+                requestBody.messages = [{ role: 'system', content: requestBody.system }, ...(requestBody.messages || [])];
+                delete requestBody.system;
+            }
+            
+            // Ask OpenAI for the trailing usage chunk so streamed requests can be logged;
+            // the chunk is only forwarded if the client requested it itself
+            const hideUsageChunk = stream && !body.stream_options?.include_usage;
+            if (hideUsageChunk) {
+                requestBody.stream_options = { ...body.stream_options, include_usage: true };
+            }
+            
+            const response = await axios.post(
+                'https://api.openai.com/v1/chat/completions',
+                requestBody,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                        'Content-Type': 'application/json',
+                        ...clientRequestIdHeader(requestId)
+                    },
+                    timeout: UPSTREAM_TIMEOUT,
+                    responseType: stream ? 'stream' : 'json'
+                }
+            );
+            
+            return { provider, model: body.model, response, hideUsageChunk };
+        }
+        
+        case 'anthropic': {
+            const anthropicRequest = buildAnthropicRequest(body);
+            
+            if (stream) {
+                anthropicRequest.stream = true;
+            }
+            
+            const response = await axios.post(
+                'https://api.anthropic.com/v1/messages',
+                anthropicRequest,
+                {
+                    headers: {
+                        'x-api-key': ANTHROPIC_API_KEY,
+                        'Content-Type': 'application/json',
+                        'anthropic-version': '2023-06-01'
+                    },
+                    timeout: UPSTREAM_TIMEOUT,
+                    responseType: stream ? 'stream' : 'json'
+                }
+            );
+            
+            return { provider, model: anthropicRequest.model, response };
+        }
+        
+        case 'google': {
+            const model = body.model || DEFAULT_MODELS.google;
+            const geminiRequest = buildGeminiRequest(body);
+            
+            // Streaming uses a separate method; alt=sse makes Gemini emit server-sent events
+            const geminiUrl = stream
+                ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${GOOGLE_API_KEY}`
+                : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GOOGLE_API_KEY}`;
+            
+            const response = await axios.post(
+                geminiUrl,
+                geminiRequest,
+                {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: UPSTREAM_TIMEOUT,
+                    responseType: stream ? 'stream' : 'json'
+                }
+            );
+            
+            return { provider, model, response };
+        }
+        
+        default:
+            throw new Error(`Unknown provider: ${provider}`);
+    }
+}
+
+// OpenAI records X-Client-Request-Id with the request, so its support can
+// find a call by our ID. Anthropic and Gemini have no equivalent.
+function clientRequestIdHeader(requestId) {
+    return requestId ? { 'X-Client-Request-Id': requestId } : {};
+}
+
+// The provider's own ID for a call, from response (or error response) headers
+function upstreamRequestId(headers) {
+    if (!headers) return null;
+    return headers['x-request-id'] || headers['request-id'] || null;
+}
+
+// Turn a non-streamed upstream response into an OpenAI chat.completion
+function toOpenAIResponse(call) {
+    switch (call.provider) {
+        case 'anthropic':
+            return transformAnthropicResponse(call.response.data);
+        case 'google':
+            return transformGeminiResponse(call.response.data, call.model);
+        default:
+            return call.response.data;
+    }
+}
+
+// Pipe a streamed upstream response to the client as OpenAI chunks.
+// Resolves with the OpenAI-shaped summary used for usage logging.
+function pipeChatStream(call, req, res) {
+    switch (call.provider) {
+        case 'anthropic':
+            return pipeAnthropicStream(call.response.data, req, res, call.model);
+        case 'google':
+            return pipeGeminiStream(call.response.data, req, res, call.model);
+        default:
+            return pipeOpenAIStream(call.response.data, req, res, { hideUsageChunk: call.hideUsageChunk });
+    }
+}
+
+module.exports = {
+    PROVIDER_LABELS,
+    OPENAI_DEFAULT_MODELS,
+    isProviderConfigured,
+    normalizeProvider,
+    providerForModel,
+    sendChatRequest,
+    clientRequestIdHeader,
+    upstreamRequestId,
+    toOpenAIResponse,
+    pipeChatStream
+};
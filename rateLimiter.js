@@ -0,0 +1,140 @@
+// rateLimiter.js
+const logger = require('./logger');
+const keyStore = require('./keyStore');
+const log = require('./log');
+const { normalizeRateLimits } = keyStore;
+
+// Token buckets for requests-per-minute and tokens-per-minute, kept per user
+// and per user+provider. Buckets live in memory, so limits are per process.
+class RateLimiter {
+    constructor() {
+        this.buckets = new Map();
+        this.defaults = normalizeRateLimits({
+            requestsPerMinute: process.env.RATE_LIMIT_RPM,
+            tokensPerMinute: process.env.RATE_LIMIT_TPM,
+            providers: parseJsonEnv('RATE_LIMITS_BY_PROVIDER')
+        });
+
+        // Tokens are only known once the upstream has answered, so they are
+        // charged after the fact from the usage UsageLogger extracts
+        logger.on('usage', (logEntry) => this.recordTokens(logEntry));
+    }
+
+    // Effective limits for a user: their admin-configured rateLimits over the
+    // env defaults. A limit the user settings leave unset inherits the default.
+    getLimits(userId) {
+        const userLimits = keyStore.getUser(userId)?.rateLimits || {};
+        const providers = { ...this.defaults.providers };
+
+        for (const [provider, limits] of Object.entries(userLimits.providers || {})) {
+            providers[provider] = mergeLimits(providers[provider], limits);
+        }
+
+        return { ...mergeLimits(this.defaults, userLimits), providers };
+    }
+
+    // The user-wide scope plus, when known, the user+provider scope
+    getScopes(userId, provider) {
+        const limits = this.getLimits(userId);
+        const scopes = [{ key: userId, label: 'user', limits }];
+
+        if (provider && limits.providers[provider]) {
+            scopes.push({ key: `${userId}:${provider}`, label: provider, limits: limits.providers[provider] });
+        }
+
+        return scopes;
+    }
+
+    getBucket(key, type, perMinute) {
+        const bucketKey = `${type}:${key}`;
+        let bucket = this.buckets.get(bucketKey);
+
+        if (!bucket || bucket.capacity !== perMinute) {
+            bucket = { capacity: perMinute, level: perMinute, updatedAt: Date.now() };
+            this.buckets.set(bucketKey, bucket);
+        }
+
+        // Refill continuously at capacity per minute
+        const now = Date.now();
+        bucket.level = Math.min(bucket.capacity, bucket.level + ((now - bucket.updatedAt) / 60000) * bucket.capacity);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    // Check every scope first and only then take a request from each, so a
+    // rejection in one scope never consumes capacity in another
+    check(userId, provider) {
+        const scopes = this.getScopes(userId, provider);
+        const requestBuckets = [];
+
+        for (const scope of scopes) {
+            const { requestsPerMinute, tokensPerMinute } = scope.limits;
+
+            if (requestsPerMinute) {
+                const bucket = this.getBucket(scope.key, 'requests', requestsPerMinute);
+                if (bucket.level < 1) {
+                    return this.rejection('requests', scope, requestsPerMinute, bucket);
+                }
+                requestBuckets.push(bucket);
+            }
+
+            if (tokensPerMinute) {
+                // Token buckets may be overdrawn by a large response; wait until they are positive again
+                const bucket = this.getBucket(scope.key, 'tokens', tokensPerMinute);
+                if (bucket.level <= 0) {
+                    return this.rejection('tokens', scope, tokensPerMinute, bucket);
+                }
+            }
+        }
+
+        requestBuckets.forEach(bucket => { bucket.level -= 1; });
+        return { allowed: true };
+    }
+
+    // Time until the bucket holds one unit again
+    rejection(type, scope, limit, bucket) {
+        const retryAfterMs = ((1 - bucket.level) / bucket.capacity) * 60000;
+        const unit = type === 'requests' ? 'requests per min (RPM)' : 'tokens per min (TPM)';
+        const scopeName = scope.label === 'user' ? 'this user' : `provider ${scope.label}`;
+
+        return {
+            allowed: false,
+            type,
+            retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+            message: `Rate limit reached for ${scopeName} on ${unit}: Limit ${limit}. ` +
+                `Please try again in ${Math.ceil(retryAfterMs / 1000)}s.`
+        };
+    }
+
+    recordTokens(logEntry) {
+        const tokens = logEntry.tokens?.total || 0;
+        // Cache hits never reached the provider
+        if (!tokens || logEntry.cached) return;
+
+        for (const scope of this.getScopes(logEntry.userId, logEntry.provider)) {
+            if (scope.limits.tokensPerMinute) {
+                this.getBucket(scope.key, 'tokens', scope.limits.tokensPerMinute).level -= tokens;
+            }
+        }
+    }
+}
+
+function mergeLimits(base = {}, override = {}) {
+    return {
+        requestsPerMinute: override.requestsPerMinute ?? base.requestsPerMinute ?? null,
+        tokensPerMinute: override.tokensPerMinute ?? base.tokensPerMinute ?? null
+    };
+}
+
+function parseJsonEnv(name) {
+    if (!process.env[name]) return {};
+
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        log.error(`Invalid JSON in ${name}`, error);
+        return {};
+    }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,130 @@
+// redaction.js
+const log = require('./log');
+
+// Built-in rules, applied in this order so a card number is not half-eaten
+// by the phone rule. CAPTURE_REDACT picks a subset (comma-separated names,
+// default all); CAPTURE_REDACT_PATTERNS adds custom regexes as a JSON array,
+// e.g. '["\\bEMP-\\d{6}\\b"]'.
+const RULES = {
+    apiKey: {
+        pattern: /\b(?:sk-(?:ant-|proj-|proxy-)?[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{36}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16})\b|\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/g,
+        replacement: '[API_KEY]'
+    },
+    email: {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+        replacement: '[EMAIL]'
+    },
+    card: {
+        pattern: /(?<!\+)\b\d(?:[ -]?\d){12,18}\b/g,
+        replacement: '[CARD]',
+        // Only digit runs that pass the Luhn check, so order numbers and the like survive
+        accept: match => luhnValid(match.replace(/\D/g, ''))
+    },
+    phone: {
+        // Grouped numbers like "(555) 123-4567" or "+44 20 7946 0958", or "+" and
+        // digits; not dates, versions or the date suffix of a model name
+        pattern: /(?<![\w+.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{2,4}[\s.-]?\d{3,4}(?![\w-])|(?<![\w+])\+\d{8,15}\b/g,
+        replacement: '[PHONE]',
+        accept: match => {
+            const digits = match.replace(/\D/g, '').length;
+            return digits >= 8 && digits <= 15;
+        }
+    }
+};
+
+// Long base64 strings (inline images, documents) are dropped rather than
+// scanned: they are useless for debugging and can hide anything
+const BASE64_BLOB = /^(?:data:[^;,]+;base64,)?[A-Za-z0-9+/=\r\n]{1024,}$/;
+
+function loadRules() {
+    const names = process.env.CAPTURE_REDACT
+        ? process.env.CAPTURE_REDACT.split(',').map(name => name.trim()).filter(Boolean)
+        : Object.keys(RULES);
+
+    const rules = [];
+    for (const name of names) {
+        if (RULES[name]) {
+            rules.push(RULES[name]);
+        } else {
+            log.warn('Unknown redaction rule in CAPTURE_REDACT', { rule: name, known: Object.keys(RULES) });
+        }
+    }
+
+    for (const source of loadCustomPatterns()) {
+        rules.push({ pattern: new RegExp(source, 'g'), replacement: '[REDACTED]' });
+    }
+
+    return rules;
+}
+
+function loadCustomPatterns() {
+    if (!process.env.CAPTURE_REDACT_PATTERNS) return [];
+
+    try {
+        const patterns = JSON.parse(process.env.CAPTURE_REDACT_PATTERNS);
+        return (Array.isArray(patterns) ? patterns : []).filter(source => {
+            try {
+                new RegExp(source);
+                return true;
+            } catch (error) {
+                log.error('Invalid regex in CAPTURE_REDACT_PATTERNS', { pattern: source, error });
+                return false;
+            }
+        });
+    } catch (error) {
+        log.error('Invalid JSON in CAPTURE_REDACT_PATTERNS', error);
+        return [];
+    }
+}
+
+const rules = loadRules();
+
+function redactString(text) {
+    if (BASE64_BLOB.test(text)) {
+        return `[binary data omitted: ${text.length} chars]`;
+    }
+
+    let redacted = text;
+    for (const rule of rules) {
+        redacted = redacted.replace(rule.pattern, match =>
+            !rule.accept || rule.accept(match) ? rule.replacement : match
+        );
+    }
+    return redacted;
+}
+
+// Deep copy of a JSON-like value with every string redacted. Object keys are
+// left alone; Buffers (uploaded files) are replaced by their size.
+function redact(value) {
+    if (typeof value === 'string') return redactString(value);
+    if (Buffer.isBuffer(value)) return `[binary data omitted: ${value.length} bytes]`;
+    if (Array.isArray(value)) return value.map(redact);
+
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = redact(item);
+        }
+        return copy;
+    }
+
+    return value;
+}
+
+function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+module.exports = {
+    RULES: Object.keys(RULES),
+    redact
+};
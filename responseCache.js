@@ -0,0 +1,185 @@
+// responseCache.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./log');
+
+// Request fields that do not change what the model answers
+const IGNORED_FIELDS = ['stream', 'stream_options', 'user', 'metadata', 'provider'];
+
+// Least-recently-used entries go first once maxEntries is reached
+class MemoryBackend {
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Re-insert so Map order tracks recency
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+// One JSON file per entry; survives restarts. The oldest files are pruned
+// once there are more than maxEntries.
+class DiskBackend {
+    constructor(dir, maxEntries) {
+        this.dir = dir;
+        this.maxEntries = maxEntries;
+    }
+
+    file(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this.file(key), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const tmpFile = `${this.file(key)}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(entry));
+        await fs.rename(tmpFile, this.file(key));
+        await this.prune();
+    }
+
+    async delete(key) {
+        await fs.unlink(this.file(key)).catch(() => {});
+    }
+
+    async prune() {
+        const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        if (files.length <= this.maxEntries) return;
+
+        const stats = await Promise.all(files.map(async file => {
+            const stat = await fs.stat(path.join(this.dir, file)).catch(() => null);
+            return { file, mtime: stat ? stat.mtimeMs : 0 };
+        }));
+        stats.sort((a, b) => a.mtime - b.mtime);
+
+        for (const { file } of stats.slice(0, files.length - this.maxEntries)) {
+            await fs.unlink(path.join(this.dir, file)).catch(() => {});
+        }
+    }
+}
+
+// Caches non-streamed chat completions keyed on a normalized hash of
+// provider, model and request body. Off unless CACHE_ENABLED=true.
+class ResponseCache {
+    constructor() {
+        this.enabled = process.env.CACHE_ENABLED === 'true';
+        this.ttlMs = parseNonNegativeInt(process.env.CACHE_TTL_SECONDS, 3600) * 1000;
+        this.maxEntries = parseNonNegativeInt(process.env.CACHE_MAX_ENTRIES, 1000);
+        this.maxEntryBytes = parseNonNegativeInt(process.env.CACHE_MAX_ENTRY_BYTES, 1024 * 1024);
+        // By default only temperature-0 requests are cached; sampled answers are meant to vary
+        this.deterministicOnly = process.env.CACHE_DETERMINISTIC_ONLY !== 'false';
+
+        this.backendName = process.env.CACHE_BACKEND === 'disk' ? 'disk' : 'memory';
+        this.backend = this.backendName === 'disk'
+            ? new DiskBackend(path.join(process.env.LOGS_DIR || path.join('/tmp', 'logs'), 'cache'), this.maxEntries)
+            : new MemoryBackend(this.maxEntries);
+    }
+
+    // Cache key for a request, or null when the request must not be cached
+    keyFor(req, provider) {
+        const body = req.body || {};
+        if (!this.enabled || body.stream === true) return null;
+
+        const temperature = body.temperature ?? body.generationConfig?.temperature;
+        if (this.deterministicOnly && temperature !== 0) return null;
+
+        const normalized = {};
+        for (const [field, value] of Object.entries(body)) {
+            if (!IGNORED_FIELDS.includes(field)) normalized[field] = value;
+        }
+
+        return crypto.createHash('sha256')
+            .update(stableStringify({ provider, model: body.model || null, body: normalized }))
+            .digest('hex');
+    }
+
+    // `Cache-Control: no-cache` skips the lookup, `no-store` also skips storing
+    readAllowed(req) {
+        return !/\bno-(cache|store)\b/i.test(req.get('Cache-Control') || '');
+    }
+
+    writeAllowed(req) {
+        return !/\bno-store\b/i.test(req.get('Cache-Control') || '');
+    }
+
+    // Resolves with { provider, model, response } or null
+    async get(key) {
+        try {
+            const entry = await this.backend.get(key);
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                await this.backend.delete(key);
+                return null;
+            }
+
+            return entry;
+        } catch (error) {
+            log.error('Cache read failed', error);
+            return null;
+        }
+    }
+
+    async set(key, { provider, model, response }) {
+        if (!response || response.error) return;
+
+        const entry = { provider, model, response, createdAt: Date.now(), expiresAt: Date.now() + this.ttlMs };
+        if (Buffer.byteLength(JSON.stringify(entry)) > this.maxEntryBytes) return;
+
+        try {
+            await this.backend.set(key, entry);
+        } catch (error) {
+            log.error('Cache write failed', error);
+        }
+    }
+}
+
+// JSON with object keys sorted, so key order in the request does not matter
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function parseNonNegativeInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+module.exports = new ResponseCache();
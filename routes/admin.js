@@ -0,0 +1,352 @@
+// routes/admin.js
+// Runtime management of client keys and per-user settings. Everything here
+// writes through keyStore, so changes apply to the next request without a restart.
+const express = require('express');
+const keyStore = require('../keyStore');
+const logger = require('../logger');
+const budgets = require('../budgets');
+const pricing = require('../pricing');
+const captureStore = require('../captureStore');
+const { getAliases } = require('../modelAliases');
+const { verifyAdmin } = require('../middleware/authMiddleware');
+const log = require('../log');
+
+const router = express.Router();
+
+router.use(verifyAdmin);
+
+// ?userId= filters take one value; a repeated parameter arrives as an array
+router.use((req, res, next) => {
+    const name = Object.keys(req.query).find(key => typeof req.query[key] !== 'string');
+    if (name) {
+        return res.status(400).json({
+            error: { message: `${name} must be given once, as a plain value`, type: 'invalid_request' }
+        });
+    }
+    next();
+});
+
+function notFound(res, what) {
+    return res.status(404).json({
+        error: { message: `${what} not found`, type: 'not_found' }
+    });
+}
+
+function adminError(res, error) {
+    log.error('Admin API error', error);
+    res.status(500).json({
+        error: { message: error.message || 'Internal server error', type: 'admin_error' }
+    });
+}
+
+// ============================================
+// KEYS
+// ============================================
+
+router.get('/keys', (req, res) => {
+    const keys = keyStore.listKeys(req.query.userId || null);
+    res.json({ count: keys.length, keys });
+});
+
+router.post('/keys', async (req, res) => {
+    const { userId, team, name, allowedProviders, allowedModels } = req.body || {};
+
+    if (!userId) {
+        return res.status(400).json({
+            error: { message: 'userId is required', type: 'invalid_request' }
+        });
+    }
+
+    try {
+        const { key, record } = await keyStore.createKey({ userId, team, name, allowedProviders, allowedModels });
+        log.info('Admin created key', { keyId: record.id, userId });
+        // The plaintext key is only ever returned in this response
+        res.status(201).json({ key, record });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.get('/keys/:id', (req, res) => {
+    const record = keyStore.getKey(req.params.id);
+    if (!record) return notFound(res, 'Key');
+    res.json(record);
+});
+
+router.patch('/keys/:id', async (req, res) => {
+    try {
+        const record = await keyStore.updateKey(req.params.id, req.body || {});
+        if (!record) return notFound(res, 'Key');
+        res.json(record);
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.post('/keys/:id/rotate', async (req, res) => {
+    try {
+        const rotated = await keyStore.rotateKey(req.params.id);
+        if (!rotated) return notFound(res, 'Key');
+        log.info('Admin rotated key', { keyId: req.params.id });
+        res.json(rotated);
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.post('/keys/:id/disable', async (req, res) => {
+    try {
+        const record = await keyStore.updateKey(req.params.id, { enabled: false });
+        if (!record) return notFound(res, 'Key');
+        log.info('Admin disabled key', { keyId: req.params.id });
+        res.json(record);
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.post('/keys/:id/enable', async (req, res) => {
+    try {
+        const record = await keyStore.updateKey(req.params.id, { enabled: true });
+        if (!record) return notFound(res, 'Key');
+        res.json(record);
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.delete('/keys/:id', async (req, res) => {
+    try {
+        const deleted = await keyStore.deleteKey(req.params.id);
+        if (!deleted) return notFound(res, 'Key');
+        log.info('Admin deleted key', { keyId: req.params.id });
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.get('/keys/:id/usage', async (req, res) => {
+    const record = keyStore.getKey(req.params.id);
+    if (!record) return notFound(res, 'Key');
+
+    try {
+        const stats = await logger.getUserStats(record.userId);
+        res.json({
+            key: record,
+            usage: stats?.keyUsage?.[record.id] || { requests: 0, tokens: 0, cost: 0, errors: 0 }
+        });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// ============================================
+// USERS
+// ============================================
+
+router.get('/users', (req, res) => {
+    const users = keyStore.listUsers();
+    res.json({ count: users.length, users });
+});
+
+router.get('/users/:userId', async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const settings = keyStore.getUser(userId);
+        const keys = keyStore.listKeys(userId);
+        const allStats = await logger.getAllUserStats();
+        const stats = allStats[userId] || null;
+
+        if (!settings && keys.length === 0 && !stats) {
+            return notFound(res, 'User');
+        }
+
+        res.json({ userId, settings, keys, stats, budget: budgets.getUserStatus(allStats, userId) });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// Set the user's model allowlist, quotas, rate limits and budgets, e.g.
+// { "allowedModels": ["gpt-4o-mini", "claude-*"], "quotas": { "requestsPerDay": 500, "tokensPerDay": 200000 },
+//   "rateLimits": { "requestsPerMinute": 60, "providers": { "openai": { "tokensPerMinute": 40000 } } },
+//   "budgets": { "daily": 5, "monthly": 100, "mode": "hard" }, "capture": true }
+router.put('/users/:userId', async (req, res) => {
+    const { allowedModels, quotas, rateLimits, budgets: userBudgets, capture } = req.body || {};
+
+    if (quotas !== undefined && (quotas === null || typeof quotas !== 'object')) {
+        return res.status(400).json({
+            error: { message: 'quotas must be an object', type: 'invalid_request' }
+        });
+    }
+
+    if (rateLimits !== undefined && rateLimits !== null && typeof rateLimits !== 'object') {
+        return res.status(400).json({
+            error: { message: 'rateLimits must be an object or null', type: 'invalid_request' }
+        });
+    }
+
+    if (userBudgets !== undefined && userBudgets !== null && typeof userBudgets !== 'object') {
+        return res.status(400).json({
+            error: { message: 'budgets must be an object or null', type: 'invalid_request' }
+        });
+    }
+
+    if (capture !== undefined && capture !== null && typeof capture !== 'boolean') {
+        return res.status(400).json({
+            error: { message: 'capture must be a boolean or null', type: 'invalid_request' }
+        });
+    }
+
+    try {
+        const settings = await keyStore.updateUser(req.params.userId, {
+            allowedModels,
+            quotas,
+            rateLimits,
+            budgets: userBudgets,
+            capture
+        });
+        log.info('Admin updated user settings', { userId: req.params.userId });
+        res.json({ userId: req.params.userId, settings });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// Removes the user's settings (allowlist, quotas, limits, budgets); their keys are left untouched
+router.delete('/users/:userId', async (req, res) => {
+    try {
+        const deleted = await keyStore.deleteUser(req.params.userId);
+        if (!deleted) return notFound(res, 'User settings');
+        res.json({ deleted: true, userId: req.params.userId });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// ============================================
+// CAPTURES
+// ============================================
+
+// Captured exchanges, newest first and without bodies; ?userId= narrows to one user
+router.get('/captures', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+
+    try {
+        const captures = captureStore.list({ userId: req.query.userId || null, limit });
+        res.json({ count: captures.length, captures });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// The redacted requests and responses for a request ID (the X-Request-Id
+// header). Clients choose their request IDs, so there can be several.
+router.get('/captures/:requestId', (req, res) => {
+    try {
+        const captures = captureStore.getByRequestId(req.params.requestId);
+        if (captures.length === 0) return notFound(res, 'Capture');
+        res.json({ requestId: req.params.requestId, count: captures.length, captures });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+router.delete('/captures/:requestId', (req, res) => {
+    try {
+        const deleted = captureStore.deleteByRequestId(req.params.requestId);
+        if (deleted === 0) return notFound(res, 'Capture');
+        res.json({ deleted: true, requestId: req.params.requestId, count: deleted });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// ============================================
+// GLOBAL BUDGET
+// ============================================
+
+router.get('/budgets', async (req, res) => {
+    try {
+        const allStats = await logger.getAllUserStats();
+        res.json({
+            budget: budgets.getGlobalBudget(),
+            status: budgets.getGlobalStatus(allStats)
+        });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// Proxy-wide budget, e.g. { "budgets": { "daily": 50, "monthly": 1000, "mode": "soft" } };
+// { "budgets": null } falls back to the env defaults
+router.put('/budgets', async (req, res) => {
+    const globalBudgets = req.body?.budgets;
+
+    if (globalBudgets === undefined || (globalBudgets !== null && typeof globalBudgets !== 'object')) {
+        return res.status(400).json({
+            error: { message: 'budgets must be an object or null', type: 'invalid_request' }
+        });
+    }
+
+    try {
+        await keyStore.updateSettings({ budgets: globalBudgets });
+        log.info('Admin updated global budget');
+        res.json({ budget: budgets.getGlobalBudget() });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// ============================================
+// MODEL ALIASES
+// ============================================
+
+router.get('/aliases', (req, res) => {
+    res.json({ aliases: getAliases() });
+});
+
+// Replaces the admin-managed aliases, e.g. { "aliases": { "fast": "gemini-2.0-flash" } }.
+// MODEL_ALIASES from the environment still apply underneath.
+router.put('/aliases', async (req, res) => {
+    const aliases = req.body?.aliases;
+
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+        return res.status(400).json({
+            error: { message: 'aliases must be an object', type: 'invalid_request' }
+        });
+    }
+
+    try {
+        await keyStore.updateSettings({ modelAliases: aliases });
+        log.info('Admin updated model aliases');
+        res.json({ aliases: getAliases() });
+    } catch (error) {
+        adminError(res, error);
+    }
+});
+
+// ============================================
+// PRICING
+// ============================================
+
+router.get('/pricing', (req, res) => {
+    res.json(pricing.toJSON());
+});
+
+// Re-read PRICING_FILE after editing it; an invalid file leaves the current prices in place
+router.post('/pricing/reload', (req, res) => {
+    try {
+        const result = pricing.load();
+        log.info('Admin reloaded pricing', result);
+        res.json(result);
+    } catch (error) {
+        res.status(400).json({
+            error: { message: `Pricing not reloaded: ${error.message}`, type: 'invalid_request' }
+        });
+    }
+});
+
+module.exports = router;
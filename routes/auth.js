@@ -0,0 +1,78 @@
+// routes/auth.js
+// Dashboard login: exchanges ADMIN_SECRET or ANALYTICS_SECRET for a session cookie
+const express = require('express');
+const { roleForSecret, resolveRole, isAnalyticsPublic } = require('../middleware/authMiddleware');
+const { setSessionCookie, clearSessionCookie } = require('../sessions');
+const log = require('../log');
+
+const router = express.Router();
+
+// Failed logins allowed per client IP within the window before that IP has
+// to wait for the window to end. Counted in memory, so per process.
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_WINDOW_MS = (parseFloat(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60000;
+
+// ip -> { count, resetAt }
+const failedLogins = new Map();
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [ip, failures] of failedLogins) {
+        if (failures.resetAt <= now) failedLogins.delete(ip);
+    }
+}, LOGIN_WINDOW_MS).unref();
+
+// Seconds until the IP may try again, or 0 when it may try now
+function loginRetryAfter(ip) {
+    const failures = failedLogins.get(ip);
+    if (!failures || failures.resetAt <= Date.now()) return 0;
+    return failures.count >= LOGIN_MAX_FAILURES ? Math.ceil((failures.resetAt - Date.now()) / 1000) : 0;
+}
+
+function recordFailedLogin(ip) {
+    const failures = failedLogins.get(ip);
+    if (!failures || failures.resetAt <= Date.now()) {
+        failedLogins.set(ip, { count: 1, resetAt: Date.now() + LOGIN_WINDOW_MS });
+        return;
+    }
+    failures.count++;
+}
+
+router.post('/login', (req, res) => {
+    const retryAfter = loginRetryAfter(req.ip);
+    if (retryAfter > 0) {
+        log.warn('Dashboard login locked out', { ip: req.ip, retryAfter });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed logins, try again later' });
+    }
+
+    const secret = req.body?.secret ?? '';
+    if (typeof secret !== 'string') {
+        return res.status(400).json({ error: 'secret must be a string' });
+    }
+
+    const role = roleForSecret(secret);
+
+    if (!role) {
+        recordFailedLogin(req.ip);
+        log.warn('Failed dashboard login', { ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized: Invalid credential' });
+    }
+
+    failedLogins.delete(req.ip);
+    setSessionCookie(req, res, role);
+    log.info('Dashboard login', { role, ip: req.ip });
+    res.json({ role });
+});
+
+router.post('/logout', (req, res) => {
+    clearSessionCookie(res);
+    res.json({ loggedOut: true });
+});
+
+// Who the dashboard is talking to; role is null when not logged in
+router.get('/session', (req, res) => {
+    res.json({ role: resolveRole(req), analyticsPublic: isAnalyticsPublic() });
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// scripts/createKey.js
+// Issue a client API key from the command line:
+//   npm run create-key -- --user alice --team research --providers openai,anthropic --models "gpt-4o*,claude-*"
+require('dotenv').config();
+
+const keyStore = require('../keyStore');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.user) {
+        console.error('Usage: npm run create-key -- --user <userId> [--team <team>] [--name <label>] [--providers a,b] [--models m1,m2*]');
+        process.exit(1);
+    }
+
+    const { key, record } = await keyStore.createKey({
+        userId: args.user,
+        team: args.team,
+        name: args.name,
+        allowedProviders: args.providers,
+        allowedModels: args.models
+    });
+
+    console.log('✅ Key created:', JSON.stringify(record, null, 2));
+    console.log(`\n🔑 ${key}\n`);
+    console.log('Store this key now; it cannot be shown again.');
+}
+
+main().catch(error => {
+    console.error('❌ Failed to create key:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,56 @@
+// scripts/importUsage.js
+// One-time import of the usage-YYYY-MM-DD.jsonl(.gz) files into the SQLite usage store:
+//   npm run import-usage [-- --dir /path/to/logs]
+// Safe to re-run: files already imported are skipped, and only entries logged
+// before the store went live are taken.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const UsageStore = require('../usageStore');
+const { LOG_FILE } = require('../logMaintenance');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const logsDir = process.env.LOGS_DIR || path.join('/tmp', 'logs');
+    const sourceDir = args.dir || logsDir;
+    const store = new UsageStore(process.env.USAGE_DB_FILE || path.join(logsDir, 'usage.db'));
+
+    const files = fs.readdirSync(sourceDir)
+        .filter(file => LOG_FILE.test(file))
+        .sort();
+
+    if (files.length === 0) {
+        console.log(`No usage-YYYY-MM-DD.jsonl files found in ${sourceDir}`);
+    }
+
+    let total = 0;
+    for (const file of files) {
+        const result = store.importJsonl(path.join(sourceDir, file));
+        total += result.imported;
+        console.log(result.skipped
+            ? `⏭️  ${file}: already imported`
+            : `✅ ${file}: ${result.imported} entries`);
+    }
+
+    store.close();
+    console.log(`\n📊 Imported ${total} entries into ${store.dbFile}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+}
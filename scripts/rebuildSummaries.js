@@ -0,0 +1,96 @@
+// scripts/rebuildSummaries.js
+// Regenerate the per-user summaries (the usage_daily rollups behind quotas,
+// budgets and analytics):
+//   npm run rebuild-summaries
+// recomputes them from the entries in the usage store (days whose entries
+// LOG_RETENTION_DAYS already removed keep their summaries), and
+//   npm run rebuild-summaries -- --from-logs [--dir /path/to/logs]
+// first empties the store and re-imports every usage-YYYY-MM-DD.jsonl(.gz)
+// file, including those LOG_RETENTION_ACTION=archive moved to LOG_ARCHIVE_DIR,
+// for when usage.db itself is lost or corrupt (move a database that no longer
+// opens out of the way first). With LOG_RETENTION_ACTION=delete the older days
+// are gone from the logs, so --from-logs refuses to run unless --force is
+// given. Stop the server before either. Both run in a single transaction, so
+// a failure part way through leaves the store as it was.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const UsageStore = require('../usageStore');
+const logMaintenance = require('../logMaintenance');
+const { LOG_FILE } = logMaintenance;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from-logs' || argv[i] === '--force') {
+            args[argv[i] === '--force' ? 'force' : 'fromLogs'] = true;
+        } else if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+// Oldest first, across the log directory and the archive
+function listLogFiles(dirs) {
+    return dirs
+        .filter(dir => fs.existsSync(dir))
+        .flatMap(dir => fs.readdirSync(dir)
+            .filter(file => LOG_FILE.test(file))
+            .map(file => ({ dir, file })))
+        .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+function importLogs(store, sourceDirs, { force }) {
+    if (logMaintenance.retentionDays > 0 && logMaintenance.action === 'delete' && !force) {
+        throw new Error(
+            `LOG_RETENTION_DAYS=${logMaintenance.retentionDays} deletes older log files, so a rebuild from the logs ` +
+            'would drop every day before that from the store. Re-run with --force to accept that; the store was left untouched'
+        );
+    }
+
+    const files = listLogFiles(sourceDirs);
+
+    if (files.length === 0) {
+        throw new Error(`No usage-YYYY-MM-DD.jsonl files found in ${sourceDirs.join(', ')}; the store was left untouched`);
+    }
+
+    store.clear();
+
+    let total = 0;
+    for (const { dir, file } of files) {
+        const result = store.importJsonl(path.join(dir, file), { allEntries: true });
+        total += result.imported;
+        console.log(result.skipped
+            ? `⏭️  ${file}: already imported`
+            : `✅ ${file}: ${result.imported} entries`);
+    }
+    console.log(`\n📥 Re-imported ${total} entries from ${files.length} files`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const logsDir = process.env.LOGS_DIR || path.join('/tmp', 'logs');
+    const store = new UsageStore(process.env.USAGE_DB_FILE || path.join(logsDir, 'usage.db'));
+
+    try {
+        const { entries, rollups } = store.transaction(() => {
+            if (args.fromLogs) {
+                importLogs(store, [args.dir || logsDir, logMaintenance.archiveDir], { force: args.force });
+            }
+            return store.rebuildSummaries();
+        });
+        console.log(`📊 Rebuilt ${rollups} daily summaries from ${entries} entries in ${store.dbFile}`);
+    } finally {
+        store.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Rebuild failed:', error.message);
+    process.exit(1);
+}
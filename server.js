@@ -1,25 +1,81 @@
+// Load .env before any module that reads configuration at require time
+require('dotenv').config();
+
 const express = require('express');
 const axios = require('axios');
 const fileUpload = require('express-fileupload');
 const cors = require('cors');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const loggingMiddleware = require('./middleware/loggingMiddleware');
+const requestIdMiddleware = require('./middleware/requestIdMiddleware');
+const verifyRequest = require('./middleware/authMiddleware');
+const { requireRole, resolveRole, isAnalyticsPublic } = verifyRequest;
+const quotaMiddleware = require('./middleware/quotaMiddleware');
+const rateLimitMiddleware = require('./middleware/rateLimitMiddleware');
+const budgetMiddleware = require('./middleware/budgetMiddleware');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
+const keyStore = require('./keyStore');
 const logger = require('./logger');
-require('dotenv').config();
+const UsageStore = require('./usageStore');
+const budgets = require('./budgets');
+const responseCache = require('./responseCache');
+const captureStore = require('./captureStore');
+const logMaintenance = require('./logMaintenance');
+const usageExport = require('./usageExport');
+const metrics = require('./metrics');
+const log = require('./log');
+const { proxyChatCompletion, sendProxyError, setUpstream } = require('./failover');
+const {
+    PROVIDER_LABELS,
+    OPENAI_DEFAULT_MODELS,
+    isProviderConfigured,
+    normalizeProvider,
+    clientRequestIdHeader
+} = require('./providers');
+const embeddings = require('./embeddings');
+const transcription = require('./transcription');
+const documents = require('./documents');
+const fileStore = require('./fileStore');
+const { estimateTokens } = require('./tokens');
+const { resolveModel } = require('./modelAliases');
 
 const app = express();
 
+// Behind a load balancer (e.g. Railway) set TRUST_PROXY (true, a hop count or
+// a subnet list) so the logged client IP comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(fileUpload({
     limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max file size
 }));
 
+// The dashboard page needs a login (or ANALYTICS_PUBLIC=true), so it is
+// served here rather than by express.static
+app.get(['/dashboard', '/dashboard.html'], (req, res) => {
+    if (!isAnalyticsPublic() && !resolveRole(req)) {
+        return res.redirect(`/login.html?next=${encodeURIComponent(req.path)}`);
+    }
+    res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
 // Serve static files from public directory
 app.use(express.static('public'));
 
+// Dashboard login sessions
+app.use('/auth', authRoutes);
+
+// X-Request-Id and an access log line for every API call, analytics included
+app.use(['/api', '/v1'], requestIdMiddleware);
+
 // Configuration
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
@@ -29,41 +85,23 @@ const PORT = process.env.PORT || 3000;
 
 // Verify environment variables
 if (!OPENAI_API_KEY) {
-    console.error('WARNING: OPENAI_API_KEY environment variable is not set');
+    log.warn('OPENAI_API_KEY environment variable is not set');
 }
 
 if (!ANTHROPIC_API_KEY) {
-    console.error('WARNING: ANTHROPIC_API_KEY environment variable is not set');
+    log.warn('ANTHROPIC_API_KEY environment variable is not set');
 }
 
 if (!GOOGLE_API_KEY) {
-    console.error('WARNING: GOOGLE_API_KEY environment variable is not set');
+    log.warn('GOOGLE_API_KEY environment variable is not set');
 }
 
-if (!API_SECRET) {
-    console.error('ERROR: API_SECRET environment variable is not set');
-    process.exit(1);
+if (API_SECRET) {
+    log.warn('API_SECRET is set; the shared secret is deprecated, issue per-client keys with `npm run create-key`');
+} else if (!keyStore.hasKeys()) {
+    log.warn('No client API keys issued yet; create one with `npm run create-key`');
 }
 
-// Middleware to verify requests from your app
-const verifyRequest = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        console.log('Missing or invalid Authorization header');
-        return res.status(401).json({ error: 'Unauthorized: Missing or invalid Authorization header' });
-    }
-    
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    if (token !== API_SECRET) {
-        console.log('Invalid API secret');
-        return res.status(401).json({ error: 'Unauthorized: Invalid API secret' });
-    }
-    
-    next();
-};
-
 // Health check endpoint (no auth required)
 app.get('/health', (req, res) => {
     res.json({
@@ -73,6 +111,10 @@ app.get('/health', (req, res) => {
         hasAnthropicKey: !!ANTHROPIC_API_KEY,
         hasGoogleKey: !!GOOGLE_API_KEY,
         hasAPISecret: !!API_SECRET,
+        hasClientKeys: keyStore.hasKeys(),
+        adminApiEnabled: !!process.env.ADMIN_SECRET,
+        analyticsPublic: isAnalyticsPublic(),
+        responseCache: responseCache.enabled ? responseCache.backendName : false,
         loggingEnabled: true,
         supportedProviders: {
             openai: !!OPENAI_API_KEY,
@@ -82,16 +124,59 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Prometheus scrape endpoint. Uses the analytics credentials: configure the
+// scraper with ANALYTICS_SECRET as its bearer token (or ANALYTICS_PUBLIC=true).
+app.get('/metrics', requireRole('viewer'), async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (error) {
+        log.error('Metrics rendering failed', error);
+        res.status(500).send(error.message);
+    }
+});
+
 // ============================================
-// PUBLIC ANALYTICS ENDPOINTS (NO AUTH REQUIRED)
+// ANALYTICS ENDPOINTS (ADMIN OR READ-ONLY VIEWER CREDENTIAL)
+// Bearer ADMIN_SECRET / ANALYTICS_SECRET or a dashboard session;
+// ANALYTICS_PUBLIC=true opens them to anyone.
 // These MUST be before app.use('/api', verifyRequest, loggingMiddleware)
 // ============================================
 
+// Every analytics parameter takes one value. A repeated one (?model=a&model=b)
+// or a bracketed one (?model[x]=a) arrives as an array or object, which the
+// usage store cannot bind, so reject it as a bad request.
+function singleValueQuery(req, res, next) {
+    const name = Object.keys(req.query).find(key => typeof req.query[key] !== 'string');
+    if (name) {
+        return res.status(400).json({
+            error: 'Invalid query',
+            message: `${name} must be given once, as a plain value`
+        });
+    }
+    next();
+}
+
+app.use('/api/analytics', requireRole('viewer'), singleValueQuery);
+
+// Query parameters shared by the filtered analytics endpoints
+function analyticsFilters(query) {
+    return {
+        userId: query.userId,
+        keyId: query.keyId,
+        team: query.team,
+        model: query.model,
+        provider: query.provider,
+        endpoint: query.endpoint
+    };
+}
+
 // Get stats for a specific user
 app.get('/api/analytics/user/:userId', async (req, res) => {
     try {
         const { userId } = req.params;
-        const stats = await logger.getUserStats(userId);
+        const allStats = await logger.getAllUserStats();
+        const stats = allStats[userId];
         
         if (!stats) {
             return res.status(404).json({
@@ -100,9 +185,13 @@ app.get('/api/analytics/user/:userId', async (req, res) => {
             });
         }
         
-        res.json(stats);
+        res.json({
+            ...stats,
+            budget: budgets.getUserStatus(allStats, userId),
+            globalBudget: budgets.getGlobalStatus(allStats)
+        });
     } catch (error) {
-        console.error('Analytics error:', error);
+        log.error('Analytics request failed', { requestId: req.id, path: req.path, error });
         res.status(500).json({
             error: 'Failed to fetch user analytics',
             message: error.message
@@ -121,18 +210,20 @@ app.get('/api/analytics/all', async (req, res) => {
             totalRequests: 0,
             totalTokens: 0,
             totalCost: 0,
+            globalBudget: budgets.getGlobalStatus(stats),
             users: stats
         };
         
-        Object.values(stats).forEach(user => {
+        Object.entries(stats).forEach(([userId, user]) => {
             summary.totalRequests += user.totalRequests;
             summary.totalTokens += user.totalTokens;
             summary.totalCost += user.totalCost;
+            user.budget = budgets.getUserStatus(stats, userId);
         });
         
         res.json(summary);
     } catch (error) {
-        console.error('Analytics error:', error);
+        log.error('Analytics request failed', { requestId: req.id, path: req.path, error });
         res.status(500).json({
             error: 'Failed to fetch analytics',
             message: error.message
@@ -140,19 +231,24 @@ app.get('/api/analytics/all', async (req, res) => {
     }
 });
 
-// Get recent activity (last N hours)
+// Get recent activity (last N hours, at most 30 days), newest first; `total`
+// counts every request in the period, `logs` holds up to `limit` of them
 app.get('/api/analytics/recent', async (req, res) => {
     try {
-        const hours = parseInt(req.query.hours) || 24;
-        const logs = await logger.getRecentLogs(hours);
+        const hours = Math.min(parseInt(req.query.hours) || 24, 720);
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const logs = await logger.getRecentLogs(hours, limit);
+        const activity = await logger.getRecentActivity(hours);
         
         res.json({
             period: `Last ${hours} hours`,
             count: logs.length,
+            total: activity.requests,
+            limit,
             logs: logs
         });
     } catch (error) {
-        console.error('Analytics error:', error);
+        log.error('Analytics request failed', { requestId: req.id, path: req.path, error });
         res.status(500).json({
             error: 'Failed to fetch recent logs',
             message: error.message
@@ -164,13 +260,15 @@ app.get('/api/analytics/recent', async (req, res) => {
 app.get('/api/analytics/summary', async (req, res) => {
     try {
         const allStats = await logger.getAllUserStats();
-        const recentLogs = await logger.getRecentLogs(24);
+        const recentActivity = await logger.getRecentActivity(24);
         
         // Calculate totals
         let totalUsers = 0;
         let totalRequests = 0;
         let totalTokens = 0;
         let totalCost = 0;
+        let cacheHits = 0;
+        let cacheSavings = 0;
         let activeToday = 0;
         
         const now = new Date();
@@ -181,6 +279,8 @@ app.get('/api/analytics/summary', async (req, res) => {
             totalRequests += stats.totalRequests;
             totalTokens += stats.totalTokens;
             totalCost += stats.totalCost;
+            cacheHits += stats.cacheHits || 0;
+            cacheSavings += stats.cacheSavings || 0;
             
             // Check if user was active today
             if (stats.lastSeen && stats.lastSeen.startsWith(today)) {
@@ -203,17 +303,20 @@ app.get('/api/analytics/summary', async (req, res) => {
                 totalRequests,
                 totalTokens,
                 totalCost: parseFloat(totalCost.toFixed(4)),
+                cacheHits,
+                cacheSavings: parseFloat(cacheSavings.toFixed(4)),
                 averageRequestsPerUser: totalUsers > 0 ? Math.round(totalRequests / totalUsers) : 0
             },
             last24Hours: {
-                requests: recentLogs.length,
-                uniqueUsers: new Set(recentLogs.map(log => log.userId)).size
+                requests: recentActivity.requests,
+                uniqueUsers: recentActivity.users
             },
             modelBreakdown,
+            budget: budgets.getGlobalStatus(allStats),
             timestamp: now.toISOString()
         });
     } catch (error) {
-        console.error('Analytics error:', error);
+        log.error('Analytics request failed', { requestId: req.id, path: req.path, error });
         res.status(500).json({
             error: 'Failed to fetch summary',
             message: error.message
@@ -221,12 +324,178 @@ app.get('/api/analytics/summary', async (req, res) => {
     }
 });
 
+// Individual requests, newest first, e.g. /api/analytics/requests?userId=alice&errors=true&limit=100
+// or /api/analytics/requests?requestId=<X-Request-Id> to trace one call
+app.get('/api/analytics/requests', async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: 'from and to must be dates (ISO 8601)'
+            });
+        }
+        
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const logs = await logger.queryLogs({
+            ...analyticsFilters(req.query),
+            requestId: req.query.requestId,
+            success: req.query.errors === 'true' ? false : undefined,
+            since: from?.toISOString(),
+            until: to?.toISOString(),
+            limit
+        });
+        
+        res.json({ count: logs.length, limit, logs });
+    } catch (error) {
+        log.error('Analytics request failed', { requestId: req.id, path: req.path, error });
+        res.status(500).json({
+            error: 'Failed to fetch requests',
+            message: error.message
+        });
+    }
+});
+
+// Usage over time for capacity planning and chargeback, e.g.
+// /api/analytics/timeseries?from=2026-09-01&to=2026-10-01&bucket=day&groupBy=user&provider=openai
+app.get('/api/analytics/timeseries', async (req, res) => {
+    try {
+        const bucket = req.query.bucket || 'day';
+        const groupBy = req.query.groupBy || null;
+        
+        if (!UsageStore.BUCKETS.includes(bucket)) {
+            return res.status(400).json({
+                error: 'Invalid bucket',
+                message: `bucket must be one of: ${UsageStore.BUCKETS.join(', ')}`
+            });
+        }
+        if (groupBy && !UsageStore.GROUP_BY.includes(groupBy)) {
+            return res.status(400).json({
+                error: 'Invalid groupBy',
+                message: `groupBy must be one of: ${UsageStore.GROUP_BY.join(', ')}`
+            });
+        }
+        
+        // Defaults to the last 24 hours for hourly buckets, otherwise the last 30 days
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const defaultRange = bucket === 'hour' ? 24 * 3600000 : 30 * 86400000;
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - defaultRange);
+        
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: 'from and to must be dates (ISO 8601) with from before to'
+            });
+        }
+        
+        const bucketMs = { hour: 3600000, day: 86400000, week: 7 * 86400000 }[bucket];
+        if ((to - from) / bucketMs > 5000) {
+            return res.status(400).json({
+                error: 'Range too large',
+                message: 'Use a larger bucket or a shorter range (at most 5000 buckets)'
+            });
+        }
+        
+        const filters = analyticsFilters(req.query);
+        
+        const result = await logger.getTimeseries({ from, to, bucket, groupBy, filters });
+        
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            bucket,
+            groupBy,
+            filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+            ...result
+        });
+    } catch (error) {
+        log.error('Analytics request failed', { requestId: req.id, path: req.path, error });
+        res.status(500).json({
+            error: 'Failed to fetch timeseries',
+            message: error.message
+        });
+    }
+});
+
+// Billing downloads, streamed as CSV or NDJSON, e.g.
+// /api/analytics/export/usage?from=2026-09-01&to=2026-10-01&format=csv
+// /api/analytics/export/invoice?from=2026-09-01&to=2026-10-01&groupBy=team,model
+// The range defaults to the current month so far (UTC).
+app.get('/api/analytics/export/:type', async (req, res) => {
+    try {
+        const { type } = req.params;
+        const format = req.query.format || 'csv';
+        const groupBy = (req.query.groupBy || 'user,model').split(',').map(value => value.trim()).filter(Boolean);
+        
+        if (type !== 'usage' && type !== 'invoice') {
+            return res.status(404).json({
+                error: 'Unknown export',
+                message: 'Export type must be usage or invoice'
+            });
+        }
+        if (!usageExport.FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: `format must be one of: ${usageExport.FORMATS.join(', ')}`
+            });
+        }
+        if (groupBy.length === 0 || groupBy.some(dimension => !UsageStore.GROUP_BY.includes(dimension))) {
+            return res.status(400).json({
+                error: 'Invalid groupBy',
+                message: `groupBy must be a comma-separated list of: ${UsageStore.GROUP_BY.join(', ')}`
+            });
+        }
+        
+        const now = new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        const to = req.query.to ? new Date(req.query.to) : now;
+        
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            return res.status(400).json({
+                error: 'Invalid range',
+                message: 'from and to must be dates (ISO 8601) with from before to'
+            });
+        }
+        
+        const filters = analyticsFilters(req.query);
+        
+        if (type === 'usage') {
+            await usageExport.exportUsage(res, { from, to, filters, format });
+        } else {
+            await usageExport.exportInvoice(res, { from, to, groupBy: [...new Set(groupBy)], filters, format });
+        }
+    } catch (error) {
+        log.error('Usage export failed', { requestId: req.id, error });
+        // Once rows have been sent the status can no longer change
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            error: 'Failed to export usage',
+            message: error.message
+        });
+    }
+});
+
+// ============================================
+// ADMIN ENDPOINTS (REQUIRE ADMIN_SECRET)
+// ============================================
+
+app.use('/admin', adminRoutes);
+
 // ============================================
 // PROTECTED API ENDPOINTS (REQUIRE AUTH)
-// Apply logging middleware to API routes (AFTER analytics, so analytics are public)
+// Apply logging middleware to API routes (AFTER analytics, which use operator credentials instead)
+// Quota, budget and rate limit rejections happen before logging so they don't count as usage;
+// the budget goes first so a request it refuses doesn't use up the rate limit
 // ============================================
 
-app.use('/api', verifyRequest, loggingMiddleware);
+app.use('/api', verifyRequest, quotaMiddleware, budgetMiddleware, rateLimitMiddleware, loggingMiddleware);
+app.use('/v1', verifyRequest, quotaMiddleware, budgetMiddleware, rateLimitMiddleware, loggingMiddleware);
 
 // ============================================
 // OPENAI ENDPOINTS
@@ -234,82 +503,178 @@ app.use('/api', verifyRequest, loggingMiddleware);
 
 // Chat completions endpoint (OpenAI)
 app.post('/api/chat/completions', async (req, res) => {
-    console.log('Received chat completion request for OpenAI');
-    
+    await proxyChatCompletion(req, res, 'openai');
+});
+
+// Whisper transcription and translation (to English) endpoints. All form
+// fields are passed through; audio over the 25MB upstream limit is split and
+// the transcripts stitched (see transcription.js).
+function proxyAudio(task) {
+    return async (req, res) => {
+        if (!OPENAI_API_KEY) {
+            return res.status(503).json({
+                error: { message: 'OpenAI API not configured', type: 'configuration_error' }
+            });
+        }
+        
+        // Check if file was uploaded
+        if (!req.files || !req.files.file) {
+            return res.status(400).json({
+                error: { message: 'No audio file provided' }
+            });
+        }
+        
+        // express-fileupload cuts files at its size limit instead of rejecting them
+        if (req.files.file.truncated) {
+            return res.status(413).json({
+                error: { message: 'Audio file exceeds the 50MB upload limit', type: 'invalid_request_error', param: 'file' }
+            });
+        }
+        
+        const fields = { ...req.body, model: req.body.model || OPENAI_DEFAULT_MODELS.transcription };
+        const responseFormat = fields.response_format || 'json';
+        res.locals.servedBy = { provider: 'openai', model: fields.model };
+        
+        try {
+            const chunks = await transcription.splitAudio(req.files.file);
+            if (!chunks) {
+                return res.status(413).json({
+                    error: {
+                        message: 'Audio file exceeds the 25MB upstream limit and cannot be split: install ffmpeg (or set FFMPEG_PATH), or send WAV',
+                        type: 'invalid_request_error',
+                        param: 'file'
+                    }
+                });
+            }
+            
+            const stitched = transcription.canStitch(fields.model, responseFormat);
+            if (!stitched && chunks.length > 1) {
+                return res.status(400).json({
+                    error: {
+                        message: `response_format ${responseFormat} is not supported for ${fields.model} with audio over 25MB`,
+                        type: 'invalid_request_error',
+                        param: 'response_format'
+                    }
+                });
+            }
+            
+            if (chunks.length > 1) {
+                log.info('Split oversized audio', { requestId: req.id, task, size: req.files.file.size, chunks: chunks.length });
+            }
+            
+            const { result, raw, upstream } = await transcription.transcribe({ task, chunks, fields, requestId: req.id });
+            res.locals.upstream = upstream;
+            // What Whisper bills by
+            res.locals.audioSeconds = result.duration;
+            
+            if (!stitched && typeof raw !== 'string') {
+                return res.json(raw);
+            }
+            
+            const { contentType, body } = stitched
+                ? transcription.render(result, responseFormat)
+                : { contentType: 'text/plain; charset=utf-8', body: raw };
+            if (contentType) {
+                // Text formats are not JSON, so log them (with the usage the client does not see) here
+                res.logCompletion({ text: result.text, usage: result.usage });
+                return res.type(contentType).send(body);
+            }
+            res.json(body);
+            
+        } catch (error) {
+            res.locals.upstream = error.upstream || res.locals.upstream;
+            await sendProxyError(res, error, `OpenAI ${task} API Error:`);
+        }
+    };
+}
+
+app.post('/api/audio/transcriptions', proxyAudio('transcriptions'));
+app.post('/api/audio/translations', proxyAudio('translations'));
+
+// Image generation (DALL·E, gpt-image-1). Billed per generated image by
+// size and quality, or by tokens for models that report usage.
+app.post('/api/images/generations', async (req, res) => {
     if (!OPENAI_API_KEY) {
         return res.status(503).json({
             error: { message: 'OpenAI API not configured', type: 'configuration_error' }
         });
     }
     
+    const model = req.body.model || OPENAI_DEFAULT_MODELS.image;
+    res.locals.servedBy = { provider: 'openai', model };
+    const upstreamStartedAt = Date.now();
+    
     try {
         const response = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
-            req.body,
+            'https://api.openai.com/v1/images/generations',
+            { ...req.body, model },
             {
                 headers: {
                     'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...clientRequestIdHeader(req.id)
                 },
-                timeout: 190000 // 190 seconds
+                timeout: 190000
             }
         );
         
-        console.log('Successfully proxied chat request to OpenAI');
+        setUpstream(res, response, upstreamStartedAt);
+        setImageUsage(res, req.body, response.data);
         res.json(response.data);
         
     } catch (error) {
-        console.error('OpenAI API Error:', error.response?.data || error.message);
-        
-        const statusCode = error.response?.status || 500;
-        const errorData = error.response?.data || {
-            error: {
-                message: error.message || 'Internal server error',
-                type: 'proxy_error'
-            }
-        };
-        
-        res.status(statusCode).json(errorData);
+        setUpstream(res, error.response, upstreamStartedAt);
+        await sendProxyError(res, error, 'OpenAI Images API Error:');
     }
 });
 
-// Whisper transcription endpoint
-app.post('/api/audio/transcriptions', async (req, res) => {
-    console.log('Received audio transcription request');
-    
+// Image edits: multipart like Whisper, with `image` (one file, or several
+// for gpt-image-1), an optional `mask` and the other fields passed through
+app.post('/api/images/edits', async (req, res) => {
     if (!OPENAI_API_KEY) {
         return res.status(503).json({
             error: { message: 'OpenAI API not configured', type: 'configuration_error' }
         });
     }
     
+    const images = [req.files?.image, req.files?.['image[]']].flat().filter(Boolean);
+    if (images.length === 0) {
+        return res.status(400).json({
+            error: { message: 'No image file provided', type: 'invalid_request_error', param: 'image' }
+        });
+    }
+    
+    const model = req.body.model || OPENAI_DEFAULT_MODELS.image;
+    res.locals.servedBy = { provider: 'openai', model };
+    const upstreamStartedAt = Date.now();
+    
     try {
-        // Check if file was uploaded
-        if (!req.files || !req.files.file) {
-            return res.status(400).json({
-                error: { message: 'No audio file provided' }
-            });
-        }
-        
         const FormData = require('form-data');
         const form = new FormData();
         
-        // Add the audio file
-        const audioFile = req.files.file;
-        form.append('file', audioFile.data, {
-            filename: audioFile.name,
-            contentType: audioFile.mimetype
-        });
-        
-        // Add model parameter
-        form.append('model', req.body.model || 'whisper-1');
+        for (const image of images) {
+            form.append(images.length > 1 ? 'image[]' : 'image', image.data, {
+                filename: image.name,
+                contentType: image.mimetype
+            });
+        }
+        if (req.files.mask) {
+            form.append('mask', req.files.mask.data, {
+                filename: req.files.mask.name,
+                contentType: req.files.mask.mimetype
+            });
+        }
+        for (const [field, value] of Object.entries({ ...req.body, model })) {
+            form.append(field, String(value));
+        }
         
         const response = await axios.post(
-            'https://api.openai.com/v1/audio/transcriptions',
+            'https://api.openai.com/v1/images/edits',
             form,
             {
                 headers: {
                     'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                    ...clientRequestIdHeader(req.id),
                     ...form.getHeaders()
                 },
                 timeout: 190000,
@@ -318,285 +683,203 @@ app.post('/api/audio/transcriptions', async (req, res) => {
             }
         );
         
-        console.log('Successfully transcribed audio via OpenAI');
+        setUpstream(res, response, upstreamStartedAt);
+        setImageUsage(res, req.body, response.data);
         res.json(response.data);
         
     } catch (error) {
-        console.error('Whisper API Error:', error.response?.data || error.message);
-        
-        const statusCode = error.response?.status || 500;
-        const errorData = error.response?.data || {
-            error: {
-                message: error.message || 'Internal server error',
-                type: 'proxy_error'
-            }
-        };
-        
-        res.status(statusCode).json(errorData);
+        setUpstream(res, error.response, upstreamStartedAt);
+        await sendProxyError(res, error, 'OpenAI Images API Error:');
     }
 });
 
-// ============================================
-// ANTHROPIC (CLAUDE) ENDPOINTS
-// ============================================
+// Billable images for the usage log; only set once the upstream has produced them
+function setImageUsage(res, body, data) {
+    res.locals.images = data?.data?.length || 0;
+    res.locals.imageOptions = {
+        size: body.size || '1024x1024',
+        quality: body.quality || 'standard'
+    };
+}
 
-app.post('/api/anthropic/messages', async (req, res) => {
-    console.log('Received chat completion request for Anthropic Claude');
-    
-    if (!ANTHROPIC_API_KEY) {
+// Text to speech. The audio is streamed through as it is generated; it is
+// billed by input characters.
+app.post('/api/audio/speech', async (req, res) => {
+    if (!OPENAI_API_KEY) {
         return res.status(503).json({
-            error: { message: 'Anthropic API not configured', type: 'configuration_error' }
+            error: { message: 'OpenAI API not configured', type: 'configuration_error' }
+        });
+    }
+    
+    if (typeof req.body.input !== 'string' || !req.body.input) {
+        return res.status(400).json({
+            error: { message: "'input' must be a non-empty string", type: 'invalid_request_error', param: 'input' }
         });
     }
     
+    const model = req.body.model || OPENAI_DEFAULT_MODELS.speech;
+    res.locals.servedBy = { provider: 'openai', model };
+    const upstreamStartedAt = Date.now();
+    
     try {
-        // Transform request to Anthropic format if needed
-        const anthropicRequest = {
-            model: req.body.model || 'claude-sonnet-4-20250514',
-            max_tokens: req.body.max_tokens || 4096,
-            messages: req.body.messages,
-            system: req.body.system
-        };
-        
         const response = await axios.post(
-            'https://api.anthropic.com/v1/messages',
-            anthropicRequest,
+            'https://api.openai.com/v1/audio/speech',
+            { ...req.body, model },
             {
                 headers: {
-                    'x-api-key': ANTHROPIC_API_KEY,
+                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
                     'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
+                    ...clientRequestIdHeader(req.id)
                 },
-                timeout: 190000
+                timeout: 190000,
+                responseType: 'stream'
             }
         );
         
-        console.log('Successfully proxied chat request to Anthropic');
-        
-        // Transform response to match OpenAI format for consistency
-        const transformedResponse = {
-            id: response.data.id,
-            object: 'chat.completion',
-            created: Date.now(),
-            model: response.data.model,
-            choices: [{
-                index: 0,
-                message: {
-                    role: 'assistant',
-                    content: response.data.content[0]?.text || ''
-                },
-                finish_reason: response.data.stop_reason === 'end_turn' ? 'stop' : response.data.stop_reason
-            }],
-            usage: {
-                prompt_tokens: response.data.usage?.input_tokens || 0,
-                completion_tokens: response.data.usage?.output_tokens || 0,
-                total_tokens: (response.data.usage?.input_tokens || 0) + (response.data.usage?.output_tokens || 0)
-            }
-        };
+        // Billed from here on, even if the client goes away mid-stream
+        res.locals.characters = req.body.input.length;
+        // The audio starts flowing now; logged as the time to first token
+        res.locals.firstTokenAt = Date.now();
+        res.set('Content-Type', response.headers['content-type'] || 'audio/mpeg');
         
-        res.json(transformedResponse);
+        await pipeline(response.data, res);
+        setUpstream(res, response, upstreamStartedAt);
+        res.logCompletion({ object: 'audio.speech', model });
         
     } catch (error) {
-        console.error('Anthropic API Error:', error.response?.data || error.message);
+        setUpstream(res, error.response, upstreamStartedAt);
         
-        const statusCode = error.response?.status || 500;
-        const errorData = error.response?.data || {
-            error: {
-                message: error.message || 'Internal server error',
-                type: 'proxy_error'
-            }
-        };
+        if (!res.headersSent) {
+            // The upstream failed before any audio was sent; reply with JSON
+            res.removeHeader('Content-Type');
+            return sendProxyError(res, error, 'OpenAI Speech API Error:');
+        }
         
-        res.status(statusCode).json(errorData);
+        // Audio was already flowing: there is no way to report an error in-band
+        log.warn('Speech stream interrupted', { requestId: req.id, error });
+        res.destroy();
+        res.logCompletion({ error: { message: error.message || 'Speech stream interrupted', type: 'proxy_error' } });
     }
 });
 
+// ============================================
+// ANTHROPIC (CLAUDE) ENDPOINTS
+// ============================================
+
+app.post('/api/anthropic/messages', async (req, res) => {
+    await proxyChatCompletion(req, res, 'anthropic');
+});
+
 // ============================================
 // GOOGLE (GEMINI) ENDPOINTS
 // ============================================
 
 app.post('/api/google/generateContent', async (req, res) => {
-    console.log('Received chat completion request for Google Gemini');
+    await proxyChatCompletion(req, res, 'google');
+});
+
+// ============================================
+// UNIFIED MULTI-PROVIDER ENDPOINT
+// ============================================
+
+app.post('/api/unified/chat', async (req, res) => {
+    const provider = normalizeProvider(req.body.provider || 'openai');
     
-    if (!GOOGLE_API_KEY) {
-        return res.status(503).json({
-            error: { message: 'Google API not configured', type: 'configuration_error' }
+    if (!provider) {
+        return res.status(400).json({
+            error: {
+                message: `Unknown provider: ${req.body.provider}`,
+                type: 'invalid_request'
+            }
         });
     }
     
-    try {
-        const model = req.body.model || 'gemini-2.5-pro';
-        
-        // Transform request to Gemini format
-        const geminiRequest = {
-            contents: req.body.contents || transformMessagesToGeminiFormat(req.body.messages),
-            generationConfig: req.body.generationConfig || {
-                temperature: 0.7,
-                maxOutputTokens: 4096
-            },
-            safetySettings: req.body.safetySettings || [
-                { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-                { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-                { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-                { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" }
-            ]
-        };
-        
-        const response = await axios.post(
-            `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GOOGLE_API_KEY}`,
-            geminiRequest,
-            {
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                timeout: 190000
-            }
-        );
-        
-        console.log('Successfully proxied chat request to Google Gemini');
-        
-        // Transform response to match OpenAI format for consistency
-        const geminiContent = response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        const transformedResponse = {
-            id: `gemini-${Date.now()}`,
-            object: 'chat.completion',
-            created: Date.now(),
-            model: model,
-            choices: [{
-                index: 0,
-                message: {
-                    role: 'assistant',
-                    content: geminiContent
-                },
-                finish_reason: response.data.candidates?.[0]?.finishReason === 'STOP' ? 'stop' : 'length'
-            }],
-            usage: {
-                prompt_tokens: response.data.usageMetadata?.promptTokenCount || 0,
-                completion_tokens: response.data.usageMetadata?.candidatesTokenCount || 0,
-                total_tokens: response.data.usageMetadata?.totalTokenCount || 0
-            }
-        };
-        
-        res.json(transformedResponse);
-        
-    } catch (error) {
-        console.error('Google Gemini API Error:', error.response?.data || error.message);
-        
-        const statusCode = error.response?.status || 500;
-        const errorData = error.response?.data || {
+    await proxyChatCompletion(req, res, provider);
+});
+
+// ============================================
+// OPENAI-COMPATIBLE ENDPOINT (/v1)
+// Drop-in for the OpenAI SDKs: point baseURL at <proxy>/v1 and use a proxy key.
+// The provider is picked from the model name, after resolving aliases.
+// ============================================
+
+app.post('/v1/chat/completions', async (req, res) => {
+    if (!req.body.model) {
+        return res.status(400).json({
             error: {
-                message: error.message || 'Internal server error',
-                type: 'proxy_error'
+                message: 'you must provide a model parameter',
+                type: 'invalid_request_error',
+                param: 'model',
+                code: null
             }
-        };
-        
-        res.status(statusCode).json(errorData);
+        });
     }
-});
-
-// Helper function to transform OpenAI-style messages to Gemini format
-function transformMessagesToGeminiFormat(messages) {
-    if (!messages) return [];
-    
-    const contents = [];
-    let systemPrompt = '';
     
-    for (const msg of messages) {
-        if (msg.role === 'system') {
-            systemPrompt = msg.content;
-            continue;
-        }
-        
-        const role = msg.role === 'assistant' ? 'model' : 'user';
-        
-        // Handle content that may be string or array (for images)
-        let parts = [];
-        
-        if (typeof msg.content === 'string') {
-            // Prepend system prompt to first user message
-            if (role === 'user' && systemPrompt && contents.length === 0) {
-                parts.push({ text: `${systemPrompt}\n\n${msg.content}` });
-                systemPrompt = '';
-            } else {
-                parts.push({ text: msg.content });
-            }
-        } else if (Array.isArray(msg.content)) {
-            // Handle multimodal content (text + images)
-            for (const item of msg.content) {
-                if (item.type === 'text') {
-                    if (role === 'user' && systemPrompt && contents.length === 0) {
-                        parts.push({ text: `${systemPrompt}\n\n${item.text}` });
-                        systemPrompt = '';
-                    } else {
-                        parts.push({ text: item.text });
-                    }
-                } else if (item.type === 'image_url') {
-                    // Extract base64 data from data URL
-                    const imageUrl = item.image_url.url;
-                    if (imageUrl.startsWith('data:')) {
-                        const matches = imageUrl.match(/^data:([^;]+);base64,(.+)$/);
-                        if (matches) {
-                            parts.push({
-                                inline_data: {
-                                    mime_type: matches[1],
-                                    data: matches[2]
-                                }
-                            });
-                        }
-                    }
-                }
-            }
-        }
-        
-        contents.push({ role, parts });
+    const { provider, model, alias } = resolveModel(req.body.model);
+    if (alias) {
+        log.debug('Resolved model alias', { requestId: req.id, alias, provider, model });
     }
     
-    return contents;
-}
+    req.body.model = model;
+    await proxyChatCompletion(req, res, provider);
+});
 
 // ============================================
-// UNIFIED MULTI-PROVIDER ENDPOINT
+// EMBEDDINGS (OpenAI FORMAT, OpenAI OR GEMINI)
+// The provider comes from `provider` or the model name, e.g. text-embedding-3-small
+// (OpenAI) or gemini-embedding-001 (Gemini); the response is always OpenAI's.
 // ============================================
 
-app.post('/api/unified/chat', async (req, res) => {
-    const provider = req.body.provider || 'openai';
-    const model = req.body.model;
+async function proxyEmbeddings(req, res) {
+    const { provider: requestedProvider, model: requestedModel, input } = req.body;
+    const { provider: modelProvider, model } = resolveModel(requestedModel);
+    const provider = requestedProvider ? normalizeProvider(requestedProvider) : modelProvider;
     
-    console.log(`Received unified chat request for provider: ${provider}, model: ${model}`);
+    if (!embeddings.SUPPORTED_PROVIDERS.includes(provider)) {
+        return res.status(400).json({
+            error: {
+                message: `Embeddings are not available for provider: ${requestedProvider || provider}`,
+                type: 'invalid_request_error',
+                param: requestedProvider ? 'provider' : 'model'
+            }
+        });
+    }
     
-    // Route to appropriate provider
-    switch (provider.toLowerCase()) {
-        case 'openai':
-            req.url = '/api/chat/completions';
-            return app._router.handle(req, res, () => {});
-            
-        case 'anthropic':
-        case 'claude':
-            req.url = '/api/anthropic/messages';
-            return app._router.handle(req, res, () => {});
-            
-        case 'google':
-        case 'gemini':
-            req.url = '/api/google/generateContent';
-            return app._router.handle(req, res, () => {});
-            
-        default:
-            return res.status(400).json({
-                error: {
-                    message: `Unknown provider: ${provider}`,
-                    type: 'invalid_request'
-                }
-            });
+    if (!isProviderConfigured(provider)) {
+        return res.status(503).json({
+            error: { message: `${PROVIDER_LABELS[provider]} API not configured`, type: 'configuration_error' }
+        });
     }
-});
+    
+    const { inputs, error } = embeddings.parseInput(input, provider);
+    if (error) {
+        return res.status(400).json({
+            error: { message: error, type: 'invalid_request_error', param: 'input' }
+        });
+    }
+    
+    const body = { ...req.body, model: model || embeddings.DEFAULT_MODELS[provider] };
+    res.locals.servedBy = { provider, model: body.model };
+    res.set('X-Proxy-Provider', provider);
+    
+    try {
+        const result = await embeddings.createEmbeddings(provider, body, inputs, { requestId: req.id });
+        res.locals.upstream = result.upstream;
+        res.json(result.response);
+    } catch (error) {
+        res.locals.upstream = error.upstream;
+        await sendProxyError(res, error, `${PROVIDER_LABELS[provider]} embeddings error:`);
+    }
+}
+
+app.post('/api/embeddings', proxyEmbeddings);
+app.post('/v1/embeddings', proxyEmbeddings);
 
 // ============================================
 // FILE UPLOAD ENDPOINT (for document context)
 // ============================================
 
 app.post('/api/files/upload', async (req, res) => {
-    console.log('Received file upload request');
-    
     try {
         if (!req.files || Object.keys(req.files).length === 0) {
             return res.status(400).json({
@@ -604,39 +887,74 @@ app.post('/api/files/upload', async (req, res) => {
             });
         }
         
+        const chunking = documents.parseChunkOptions(req.body);
+        if (chunking.error) {
+            return res.status(400).json({
+                error: { message: chunking.error, type: 'invalid_request_error' }
+            });
+        }
+        
+        const format = req.body?.format;
+        if (format && !documents.PART_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: {
+                    message: `format must be one of: ${documents.PART_FORMATS.join(', ')}`,
+                    type: 'invalid_request_error'
+                }
+            });
+        }
+        
         const uploadedFiles = [];
         const files = Array.isArray(req.files.files) ? req.files.files : [req.files.files];
         
+        // Check file sizes (max 10MB per file) before anything is stored
+        const oversized = files.find(file => file.size > 10 * 1024 * 1024);
+        if (oversized) {
+            return res.status(400).json({
+                error: { message: `File ${oversized.name} exceeds 10MB limit` }
+            });
+        }
+        
         // Process each file
         for (const file of files) {
-            // Check file size (max 10MB per file)
-            if (file.size > 10 * 1024 * 1024) {
-                return res.status(400).json({
-                    error: { message: `File ${file.name} exceeds 10MB limit` }
-                });
-            }
-            
-            // Extract text content based on file type
-            let textContent = '';
-            const mimeType = file.mimetype;
-            
-            if (mimeType === 'application/pdf') {
-                // For PDF, we'll just send the base64 data
-                // The AI models can handle PDFs directly
-                textContent = null;
-            } else if (mimeType.startsWith('text/') || 
-                       mimeType === 'application/json' ||
-                       mimeType === 'application/xml') {
-                textContent = file.data.toString('utf8');
-            }
-            
-            uploadedFiles.push({
+            const uploaded = {
                 name: file.name,
-                mimeType: mimeType,
+                mimeType: file.mimetype,
                 size: file.size,
                 base64: file.data.toString('base64'),
-                textContent: textContent
+                textContent: null
+            };
+            
+            // Extract text content based on file type. A file that can't be
+            // read (encrypted PDF, broken DOCX) is reported, not fatal.
+            try {
+                const { type, text, pages } = await documents.extractText(file);
+                uploaded.type = type;
+                uploaded.textContent = text;
+                if (pages) uploaded.pages = pages;
+                
+                if (text !== null) {
+                    const chunks = documents.chunkText(text, type, chunking.options);
+                    uploaded.tokens = estimateTokens(text);
+                    uploaded.chunks = chunks;
+                    if (format) uploaded.parts = documents.toMessageParts(file.name, chunks, format);
+                }
+            } catch (error) {
+                log.warn('Text extraction failed', { requestId: req.id, file: file.name, error: error.message });
+                uploaded.error = `Could not extract text: ${error.message}`;
+            }
+            
+            // Kept so chat requests can reference it as { type: 'file', file_id }
+            const stored = await fileStore.save({
+                userId: req.apiKey.userId,
+                keyId: req.apiKey.id,
+                file,
+                type: uploaded.type,
+                text: uploaded.textContent,
+                pages: uploaded.pages,
+                tokens: uploaded.tokens
             });
+            uploadedFiles.push({ id: stored.id, ...uploaded, expiresAt: stored.expiresAt });
         }
         
         res.json({
@@ -646,7 +964,7 @@ app.post('/api/files/upload', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('File upload error:', error);
+        log.error('File upload failed', { requestId: req.id, error });
         res.status(500).json({
             error: {
                 message: error.message || 'Failed to process uploaded files',
@@ -656,6 +974,53 @@ app.post('/api/files/upload', async (req, res) => {
     }
 });
 
+// Stored uploads are private to the user who uploaded them; other users get a 404
+app.get('/api/files/:fileId', (req, res) => {
+    const file = fileStore.get(req.params.fileId, req.apiKey.userId);
+    if (!file) {
+        return res.status(404).json({
+            error: { message: `No such file: ${req.params.fileId}`, type: 'invalid_request_error' }
+        });
+    }
+    res.json(file);
+});
+
+app.get('/api/files/:fileId/content', async (req, res) => {
+    try {
+        const file = await fileStore.read(req.params.fileId, req.apiKey.userId);
+        if (!file) {
+            return res.status(404).json({
+                error: { message: `No such file: ${req.params.fileId}`, type: 'invalid_request_error' }
+            });
+        }
+        
+        res.attachment(file.name);
+        res.type(file.mimeType || 'application/octet-stream');
+        res.send(file.data);
+    } catch (error) {
+        log.error('File download failed', { requestId: req.id, error });
+        res.status(500).json({
+            error: { message: error.message || 'Failed to read file', type: 'proxy_error' }
+        });
+    }
+});
+
+app.delete('/api/files/:fileId', async (req, res) => {
+    try {
+        if (!await fileStore.delete(req.params.fileId, req.apiKey.userId)) {
+            return res.status(404).json({
+                error: { message: `No such file: ${req.params.fileId}`, type: 'invalid_request_error' }
+            });
+        }
+        res.json({ id: req.params.fileId, object: 'file', deleted: true });
+    } catch (error) {
+        log.error('File delete failed', { requestId: req.id, error });
+        res.status(500).json({
+            error: { message: error.message || 'Failed to delete file', type: 'proxy_error' }
+        });
+    }
+});
+
 // Catch-all for undefined routes
 app.use((req, res) => {
     res.status(404).json({
@@ -666,7 +1031,7 @@ app.use((req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    log.error('Unhandled error', { requestId: req.id, path: req.path, error: err });
     res.status(500).json({
         error: {
             message: 'Internal server error',
@@ -677,23 +1042,40 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
-    console.log(`✅ Multi-Provider AI Proxy Server running on port ${PORT}`);
-    console.log(`✅ OpenAI API Key: ${OPENAI_API_KEY ? 'Set' : 'NOT SET'}`);
-    console.log(`✅ Anthropic API Key: ${ANTHROPIC_API_KEY ? 'Set' : 'NOT SET'}`);
-    console.log(`✅ Google API Key: ${GOOGLE_API_KEY ? 'Set' : 'NOT SET'}`);
-    console.log(`✅ API Secret: ${API_SECRET ? 'Set' : 'NOT SET'}`);
-    console.log(`✅ Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`📊 Usage logging: ENABLED`);
-    console.log(`🌐 Dashboard available at /dashboard`);
+    log.info('Multi-Provider AI Proxy Server running', {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development',
+        providers: {
+            openai: !!OPENAI_API_KEY,
+            anthropic: !!ANTHROPIC_API_KEY,
+            google: !!GOOGLE_API_KEY
+        },
+        apiSecret: API_SECRET ? 'set (deprecated)' : 'not set',
+        clientKeys: Object.keys(keyStore.keys).length,
+        adminApi: !!process.env.ADMIN_SECRET,
+        responseCache: responseCache.enabled ? responseCache.backendName : false,
+        dashboard: '/dashboard',
+        metrics: '/metrics',
+        captureSampleRate: captureStore.sampleRate,
+        logRetentionDays: logMaintenance.retentionDays || 'unlimited',
+        fileRetentionDays: fileStore.retentionDays || 'unlimited',
+        analyticsPublic: isAnalyticsPublic()
+    });
+    
+    // Compress and expire the daily JSONL files and expired usage entries, now and hourly
+    logMaintenance.start(logger.store);
+    if (isAnalyticsPublic()) {
+        log.warn('ANALYTICS_PUBLIC=true: usage analytics and metrics are readable without a login');
+    }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
+    log.info('SIGTERM signal received: closing HTTP server');
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
+    log.info('SIGINT signal received: closing HTTP server');
     process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,80 @@
+// sessions.js
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'proxy_session';
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 3600000;
+
+// Stateless dashboard sessions: a signed, expiring cookie holding the role.
+// Without SESSION_SECRET the key is derived from the configured secrets, so
+// rotating ADMIN_SECRET or ANALYTICS_SECRET also signs everyone out.
+function signingKey() {
+    const secret = process.env.SESSION_SECRET ||
+        `${process.env.ADMIN_SECRET || ''}:${process.env.ANALYTICS_SECRET || ''}`;
+    return crypto.createHash('sha256').update(`proxy-session:${secret}`).digest();
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', signingKey()).update(payload).digest('base64url');
+}
+
+function createSession(role) {
+    const payload = Buffer.from(JSON.stringify({ role, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// The session's role, or null for a missing, tampered or expired cookie
+function readSession(req) {
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!token) return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return session.exp > Date.now() ? session : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// SameSite=Strict keeps other sites from riding the session on admin writes
+function setSessionCookie(req, res, role) {
+    res.cookie(COOKIE_NAME, createSession(role), {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator <= 0) continue;
+        try {
+            cookies[part.substring(0, separator).trim()] = decodeURIComponent(part.substring(separator + 1).trim());
+        } catch (error) {
+            // Malformed value, ignore the cookie
+        }
+    }
+    return cookies;
+}
+
+module.exports = {
+    readSession,
+    setSessionCookie,
+    clearSessionCookie
+};
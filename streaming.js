@@ -0,0 +1,407 @@
+// streaming.js
+// Server-sent event helpers: passes OpenAI streams through as-is and
+// translates Anthropic / Gemini streams into OpenAI chat.completion.chunk events.
+const { StringDecoder } = require('string_decoder');
+const {
+    mapAnthropicStopReason,
+    mapAnthropicUsage,
+    readGeminiParts,
+    mapGeminiFinishReason,
+    mapGeminiUsage
+} = require('./converters');
+
+// Incremental SSE parser. Upstream chunks can split events anywhere, so
+// we buffer until a blank line terminates each event. They can split a
+// multibyte character too, which the decoder holds back until it is whole.
+function createSSEParser(onEvent) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    return function push(chunk) {
+        buffer = (buffer + decoder.write(chunk)).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const dataLines = [];
+
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).replace(/^ /, ''));
+                }
+            }
+
+            if (dataLines.length > 0) {
+                onEvent(event, dataLines.join('\n'));
+            }
+        }
+    };
+}
+
+function startSSE(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    res.flushHeaders();
+}
+
+function writeSSE(res, data) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    res.write(`data: ${payload}\n\n`);
+}
+
+// Remember when the first generated content (text or a tool call) went out,
+// for the time-to-first-token the usage and access logs report
+function markFirstToken(res) {
+    if (!res.locals.firstTokenAt) {
+        res.locals.firstTokenAt = Date.now();
+    }
+}
+
+// Collect an upstream error body that axios handed us as a stream
+async function readStreamBody(stream) {
+    if (!stream || typeof stream.on !== 'function') return stream;
+
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return { error: { message: text || 'Upstream stream error', type: 'proxy_error' } };
+    }
+}
+
+// Build the chat.completion.chunk envelope shared by translated streams
+function makeChunk(id, model, delta, finishReason = null) {
+    return {
+        id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{
+            index: 0,
+            delta,
+            finish_reason: finishReason
+        }]
+    };
+}
+
+// Runs the upstream stream to completion, feeding it to the SSE parser.
+// Resolves once the upstream ends or the client disconnects.
+function consumeStream(upstream, res, onEvent) {
+    return new Promise((resolve, reject) => {
+        const push = createSSEParser(onEvent);
+        let finished = false;
+
+        const finish = (aborted) => {
+            if (finished) return;
+            finished = true;
+            resolve({ aborted });
+        };
+
+        // Stop reading from the provider if our client goes away
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                upstream.destroy();
+                finish(true);
+            }
+        });
+
+        upstream.on('data', (chunk) => {
+            try {
+                push(chunk);
+            } catch (error) {
+                upstream.destroy();
+                reject(error);
+            }
+        });
+        upstream.on('end', () => finish(false));
+        upstream.on('error', (error) => {
+            if (!finished) reject(error);
+        });
+    });
+}
+
+// The OpenAI-shaped summary handed to the logging middleware when a stream ends
+function buildCompletionSummary(id, model, content, finishReason, usage, error, toolCalls = []) {
+    const summary = {
+        id,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: finishReason
+        }],
+        usage: {
+            // Keeps prompt_tokens_details (cached tokens) and other provider extras
+            ...usage,
+            prompt_tokens: usage.prompt_tokens || 0,
+            completion_tokens: usage.completion_tokens || 0,
+            total_tokens: usage.total_tokens ||
+                (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+        }
+    };
+
+    if (toolCalls.length > 0) {
+        summary.choices[0].message.tool_calls = toolCalls;
+    }
+
+    if (error) {
+        summary.error = error;
+    }
+
+    return summary;
+}
+
+// OpenAI already speaks chat.completion.chunk: forward each event verbatim and
+// only peek at it to collect content and the trailing usage chunk. When the
+// proxy injected include_usage itself, that usage-only chunk is kept back so
+// the client sees exactly the stream it asked for.
+async function pipeOpenAIStream(upstream, req, res, { hideUsageChunk = false } = {}) {
+    startSSE(res);
+
+    let id = null;
+    let model = req.body.model;
+    let content = '';
+    let finishReason = null;
+    let usage = {};
+    let error = null;
+
+    const { aborted } = await consumeStream(upstream, res, (event, data) => {
+        if (data === '[DONE]') {
+            writeSSE(res, data);
+            return;
+        }
+
+        try {
+            const chunk = JSON.parse(data);
+            id = chunk.id || id;
+            model = chunk.model || model;
+
+            if (chunk.error) {
+                error = chunk.error;
+            }
+
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content || choice?.delta?.tool_calls) {
+                markFirstToken(res);
+            }
+            if (choice?.delta?.content) {
+                content += choice.delta.content;
+            }
+            if (choice?.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+            if (chunk.usage) {
+                usage = chunk.usage;
+                if (hideUsageChunk && (!chunk.choices || chunk.choices.length === 0)) {
+                    return;
+                }
+            }
+        } catch (e) {
+            // Not JSON, forward untouched
+        }
+
+        writeSSE(res, data);
+    });
+
+    if (!aborted) {
+        res.end();
+    }
+
+    return buildCompletionSummary(id, model, content, finishReason, usage, error);
+}
+
+// Anthropic emits typed events (message_start, content_block_delta,
+// message_delta, ...). Translate each into the equivalent OpenAI chunk.
+async function pipeAnthropicStream(upstream, req, res, model) {
+    startSSE(res);
+
+    const includeUsage = !!req.body.stream_options?.include_usage;
+    let id = `chatcmpl-${Date.now()}`;
+    let content = '';
+    let finishReason = null;
+    let error = null;
+    let usage = { prompt_tokens: 0, completion_tokens: 0 };
+    // Anthropic numbers every content block; OpenAI numbers only the tool calls
+    const toolCalls = [];
+    const toolIndexByBlock = {};
+
+    const { aborted } = await consumeStream(upstream, res, (event, data) => {
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch (e) {
+            return;
+        }
+
+        switch (payload.type || event) {
+            case 'message_start':
+                id = payload.message?.id || id;
+                model = payload.message?.model || model;
+                usage = mapAnthropicUsage(payload.message?.usage);
+                writeSSE(res, makeChunk(id, model, { role: 'assistant', content: '' }));
+                break;
+
+            case 'content_block_start':
+                if (payload.content_block?.type === 'tool_use') {
+                    const toolCall = {
+                        id: payload.content_block.id,
+                        type: 'function',
+                        function: { name: payload.content_block.name, arguments: '' }
+                    };
+                    toolIndexByBlock[payload.index] = toolCalls.length;
+                    markFirstToken(res);
+                    writeSSE(res, makeChunk(id, model, {
+                        tool_calls: [{ index: toolCalls.length, ...toolCall }]
+                    }));
+                    toolCalls.push(toolCall);
+                }
+                break;
+
+            case 'content_block_delta':
+                if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+                    content += payload.delta.text;
+                    markFirstToken(res);
+                    writeSSE(res, makeChunk(id, model, { content: payload.delta.text }));
+                } else if (payload.delta?.type === 'input_json_delta' && payload.delta.partial_json) {
+                    const toolIndex = toolIndexByBlock[payload.index];
+                    if (toolIndex === undefined) break;
+
+                    toolCalls[toolIndex].function.arguments += payload.delta.partial_json;
+                    writeSSE(res, makeChunk(id, model, {
+                        tool_calls: [{ index: toolIndex, function: { arguments: payload.delta.partial_json } }]
+                    }));
+                }
+                break;
+
+            case 'message_delta':
+                if (payload.usage?.output_tokens !== undefined) {
+                    usage.completion_tokens = payload.usage.output_tokens;
+                }
+                if (payload.delta?.stop_reason) {
+                    finishReason = mapAnthropicStopReason(payload.delta.stop_reason);
+                    writeSSE(res, makeChunk(id, model, {}, finishReason));
+                }
+                break;
+
+            case 'error':
+                error = payload.error || { message: 'Anthropic stream error', type: 'proxy_error' };
+                writeSSE(res, { error });
+                break;
+
+            default:
+                // ping, content_block_stop, message_stop carry nothing to forward
+                break;
+        }
+    });
+
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+    if (!aborted) {
+        if (includeUsage) {
+            writeSSE(res, { ...makeChunk(id, model, {}), choices: [], usage });
+        }
+        writeSSE(res, '[DONE]');
+        res.end();
+    }
+
+    return buildCompletionSummary(id, model, content, finishReason, usage, error, toolCalls);
+}
+
+// Gemini streamGenerateContent (alt=sse) sends a full GenerateContentResponse
+// per event; usageMetadata on the last one holds the totals.
+async function pipeGeminiStream(upstream, req, res, model) {
+    startSSE(res);
+
+    const includeUsage = !!req.body.stream_options?.include_usage;
+    const id = `gemini-${Date.now()}`;
+    let content = '';
+    let finishReason = null;
+    let error = null;
+    let sentRole = false;
+    let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const toolCalls = [];
+
+    const { aborted } = await consumeStream(upstream, res, (event, data) => {
+        let payload;
+        try {
+            payload = JSON.parse(data);
+        } catch (e) {
+            return;
+        }
+
+        if (payload.error) {
+            error = payload.error;
+            writeSSE(res, { error });
+            return;
+        }
+
+        if (!sentRole) {
+            writeSSE(res, makeChunk(id, model, { role: 'assistant', content: '' }));
+            sentRole = true;
+        }
+
+        const candidate = payload.candidates?.[0];
+        const parts = readGeminiParts(candidate?.content?.parts);
+
+        if (parts.text || parts.toolCalls.length > 0) {
+            markFirstToken(res);
+        }
+
+        if (parts.text) {
+            content += parts.text;
+            writeSSE(res, makeChunk(id, model, { content: parts.text }));
+        }
+
+        // Gemini sends each function call whole, never in pieces
+        if (parts.toolCalls.length > 0) {
+            writeSSE(res, makeChunk(id, model, {
+                tool_calls: parts.toolCalls.map((toolCall, i) => ({ index: toolCalls.length + i, ...toolCall }))
+            }));
+            toolCalls.push(...parts.toolCalls);
+        }
+
+        if (candidate?.finishReason) {
+            finishReason = toolCalls.length > 0 ? 'tool_calls' : mapGeminiFinishReason(candidate.finishReason);
+            writeSSE(res, makeChunk(id, model, {}, finishReason));
+        }
+
+        if (payload.usageMetadata) {
+            usage = mapGeminiUsage(payload.usageMetadata);
+        }
+    });
+
+    if (!aborted) {
+        if (includeUsage) {
+            writeSSE(res, { ...makeChunk(id, model, {}), choices: [], usage });
+        }
+        writeSSE(res, '[DONE]');
+        res.end();
+    }
+
+    return buildCompletionSummary(id, model, content, finishReason, usage, error, toolCalls);
+}
+
+module.exports = {
+    createSSEParser,
+    startSSE,
+    writeSSE,
+    readStreamBody,
+    pipeOpenAIStream,
+    pipeAnthropicStream,
+    pipeGeminiStream
+};
@@ -0,0 +1,15 @@
+// tokens.js
+// Rough token counts for text no provider has counted for us (Gemini
+// embeddings, document chunks). About four characters per token for English
+// text; close enough for billing estimates and sizing chunks, and the same
+// for every provider.
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+module.exports = {
+    CHARS_PER_TOKEN,
+    estimateTokens
+};
@@ -0,0 +1,284 @@
+// transcription.js
+// Whisper-style transcriptions and translations. Audio over the 25MB upstream
+// limit is split into chunks that are sent one after another; their
+// transcripts, segments and word timestamps are stitched back together as if
+// the file had been sent whole.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const axios = require('axios');
+const FormData = require('form-data');
+const { clientRequestIdHeader, upstreamRequestId } = require('./providers');
+const { withRetries } = require('./failover');
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const UPSTREAM_TIMEOUT = 190000;
+
+// OpenAI rejects files over 25MB; stay a little under it
+const MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+// Chunks re-encoded by ffmpeg: 10 minutes of 64kbps mono mp3 is about 5MB
+const CHUNK_SECONDS = 600;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const RESPONSE_FORMATS = ['json', 'text', 'srt', 'verbose_json', 'vtt'];
+const CONTENT_TYPES = {
+    text: 'text/plain; charset=utf-8',
+    srt: 'application/x-subrip; charset=utf-8',
+    vtt: 'text/vtt; charset=utf-8'
+};
+
+// Only whisper-1 returns segments (verbose_json), so only its responses can
+// be converted to srt/vtt here and stitched with timestamps. Newer models
+// (gpt-4o-transcribe, ...) are asked for json and stitched by text.
+function upstreamFormat(model, responseFormat) {
+    if (model === 'whisper-1') return 'verbose_json';
+    return responseFormat === 'text' ? 'json' : responseFormat;
+}
+
+// Whether the proxy can render `responseFormat` from what it asks the upstream for
+function canStitch(model, responseFormat) {
+    const format = upstreamFormat(model, responseFormat);
+    return format === 'verbose_json' || (format === 'json' && ['json', 'text'].includes(responseFormat));
+}
+
+// Split an uploaded file into chunks under the upstream limit. PCM WAV is
+// cut natively; anything else needs ffmpeg. Returns null when the file is
+// too large and cannot be split.
+async function splitAudio(file) {
+    if (file.size <= MAX_UPLOAD_BYTES) {
+        return [{ data: file.data, name: file.name, mimetype: file.mimetype }];
+    }
+
+    return splitWav(file) || await splitWithFfmpeg(file);
+}
+
+// RIFF/WAVE with a fmt and a data chunk: copy the header into every chunk and
+// cut the samples at frame boundaries
+function splitWav(file) {
+    const data = file.data;
+    if (data.length < 12 || data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    let fmt = null;
+    let samples = null;
+    for (let offset = 12; offset + 8 <= data.length;) {
+        const id = data.toString('ascii', offset, offset + 4);
+        const size = data.readUInt32LE(offset + 4);
+        if (id === 'fmt ') fmt = data.subarray(offset, offset + 8 + size);
+        if (id === 'data') samples = data.subarray(offset + 8, Math.min(data.length, offset + 8 + size));
+        offset += 8 + size + (size % 2);
+    }
+    if (!fmt || !samples) return null;
+
+    const byteRate = fmt.readUInt32LE(16);
+    const blockAlign = fmt.readUInt16LE(20) || 1;
+    const chunkBytes = Math.floor((MAX_UPLOAD_BYTES - fmt.length - 20) / blockAlign) * blockAlign;
+    const baseName = path.basename(file.name, path.extname(file.name));
+
+    const chunks = [];
+    for (let start = 0; start < samples.length; start += chunkBytes) {
+        const body = samples.subarray(start, start + chunkBytes);
+        const header = Buffer.alloc(12);
+        header.write('RIFF', 0, 'ascii');
+        header.writeUInt32LE(4 + fmt.length + 8 + body.length, 4);
+        header.write('WAVE', 8, 'ascii');
+        const dataHeader = Buffer.alloc(8);
+        dataHeader.write('data', 0, 'ascii');
+        dataHeader.writeUInt32LE(body.length, 4);
+
+        chunks.push({
+            data: Buffer.concat([header, fmt, dataHeader, body]),
+            name: `${baseName}-${chunks.length + 1}.wav`,
+            mimetype: 'audio/wav',
+            duration: byteRate ? body.length / byteRate : null
+        });
+    }
+    return chunks;
+}
+
+// Re-encode to small mono mp3 segments. Null when ffmpeg is not installed.
+async function splitWithFfmpeg(file) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'proxy-audio-'));
+
+    try {
+        const input = path.join(dir, `input${path.extname(file.name) || '.audio'}`);
+        await fs.promises.writeFile(input, file.data);
+
+        try {
+            await promisify(execFile)(FFMPEG_PATH, [
+                '-hide_banner', '-loglevel', 'error', '-i', input,
+                '-vn', '-ac', '1', '-ar', '16000', '-b:a', '64k',
+                '-f', 'segment', '-segment_time', String(CHUNK_SECONDS), '-reset_timestamps', '1',
+                path.join(dir, 'chunk-%03d.mp3')
+            ], { timeout: 10 * 60 * 1000 });
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Could not split audio: ${error.stderr?.trim() || error.message}`);
+        }
+
+        const names = (await fs.promises.readdir(dir)).filter(name => name.startsWith('chunk-')).sort();
+        return Promise.all(names.map(async name => ({
+            data: await fs.promises.readFile(path.join(dir, name)),
+            name,
+            mimetype: 'audio/mpeg'
+        })));
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Send every chunk to /v1/audio/{task} and stitch the results. `fields` are
+// the client's form fields, passed through except response_format and
+// stream. Resolves with a verbose_json-shaped result (segments only for
+// whisper-1) with usage summed over the chunks, the upstream timing, and
+// for a single chunk the upstream's own response (`raw`).
+async function transcribe({ task, chunks, fields, requestId }) {
+    // Streamed transcripts are not supported through the proxy
+    const { response_format: responseFormat, stream, ...passthrough } = fields;
+    const format = upstreamFormat(passthrough.model, responseFormat || 'json');
+
+    const result = { task, language: null, duration: 0, text: '', segments: [], words: [] };
+    const texts = [];
+    let usage = null;
+    const upstream = { latencyMs: 0, requestId: null };
+    let raw = null;
+
+    for (const [index, chunk] of chunks.entries()) {
+        // Later chunks get the end of the previous transcript as context,
+        // which keeps names and spelling consistent across the cut
+        const prompt = index > 0 && texts[index - 1]
+            ? texts[index - 1].slice(-500)
+            : passthrough.prompt;
+        const startedAt = Date.now();
+
+        let response;
+        try {
+            response = await withRetries(
+                () => sendChunk(task, chunk, { ...passthrough, prompt, response_format: format }, requestId),
+                { requestId, label: `OpenAI ${task}` }
+            );
+        } catch (error) {
+            upstream.latencyMs += Date.now() - startedAt;
+            upstream.requestId = upstreamRequestId(error.response?.headers) || upstream.requestId;
+            error.upstream = upstream;
+            throw error;
+        }
+        upstream.latencyMs += Date.now() - startedAt;
+        upstream.requestId = upstreamRequestId(response.headers) || upstream.requestId;
+
+        raw = response.data;
+        const data = typeof raw === 'string' ? { text: raw } : raw;
+        // Chunks cut at 25MB: the previous chunks' length is this one's offset
+        const offset = result.duration;
+
+        texts.push((data.text || '').trim());
+        result.language = result.language || data.language || null;
+        for (const segment of data.segments || []) {
+            result.segments.push({
+                ...segment,
+                id: result.segments.length,
+                seek: (segment.seek || 0) + Math.round(offset * 100),
+                start: segment.start + offset,
+                end: segment.end + offset
+            });
+        }
+        for (const word of data.words || []) {
+            result.words.push({ ...word, start: word.start + offset, end: word.end + offset });
+        }
+        result.duration += data.duration ?? data.usage?.seconds ?? chunk.duration ?? 0;
+        usage = addUsage(usage, data.usage);
+    }
+
+    result.text = texts.filter(Boolean).join(' ');
+    if (usage) result.usage = usage;
+    if (result.words.length === 0) delete result.words;
+
+    return { result, upstream, raw: chunks.length === 1 ? raw : null };
+}
+
+async function sendChunk(task, chunk, fields, requestId) {
+    const form = new FormData();
+    form.append('file', chunk.data, { filename: chunk.name, contentType: chunk.mimetype });
+
+    for (const [field, value] of Object.entries(fields)) {
+        if (value === undefined || value === null) continue;
+        // timestamp_granularities[] and other repeated fields
+        for (const item of Array.isArray(value) ? value : [value]) {
+            form.append(field, String(item));
+        }
+    }
+
+    return axios.post(
+        `https://api.openai.com/v1/audio/${task}`,
+        form,
+        {
+            headers: {
+                'Authorization': `Bearer ${OPENAI_API_KEY}`,
+                ...clientRequestIdHeader(requestId),
+                ...form.getHeaders()
+            },
+            timeout: UPSTREAM_TIMEOUT,
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+        }
+    );
+}
+
+// Usage is { type: 'duration', seconds } or { type: 'tokens', input_tokens, ... }
+function addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+
+    const sum = { ...total };
+    for (const field of ['seconds', 'input_tokens', 'output_tokens', 'total_tokens']) {
+        if (usage[field] !== undefined) sum[field] = (sum[field] || 0) + usage[field];
+    }
+    return sum;
+}
+
+// The body and content type the client asked for
+function render(result, responseFormat = 'json') {
+    switch (responseFormat) {
+        case 'text':
+            return { contentType: CONTENT_TYPES.text, body: result.text + '\n' };
+        case 'srt':
+            return { contentType: CONTENT_TYPES.srt, body: toSubtitles(result.segments, 'srt') };
+        case 'vtt':
+            return { contentType: CONTENT_TYPES.vtt, body: toSubtitles(result.segments, 'vtt') };
+        case 'verbose_json':
+            return { body: result };
+        default: {
+            const body = { text: result.text };
+            if (result.usage) body.usage = result.usage;
+            return { body };
+        }
+    }
+}
+
+function toSubtitles(segments, format) {
+    const cues = segments.map((segment, index) => {
+        const timing = `${timestamp(segment.start, format)} --> ${timestamp(segment.end, format)}`;
+        const text = segment.text.trim();
+        return format === 'srt' ? `${index + 1}\n${timing}\n${text}\n` : `${timing}\n${text}\n`;
+    });
+    return (format === 'vtt' ? 'WEBVTT\n\n' : '') + cues.join('\n');
+}
+
+// 00:01:02,345 (srt) or 00:01:02.345 (vtt)
+function timestamp(seconds, format) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const time = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}`;
+    return `${time}${format === 'srt' ? ',' : '.'}${pad(ms % 1000, 3)}`;
+}
+
+module.exports = {
+    RESPONSE_FORMATS,
+    canStitch,
+    splitAudio,
+    transcribe,
+    render
+};
@@ -0,0 +1,151 @@
+// usageExport.js
+const logger = require('./logger');
+
+// CSV and NDJSON downloads of usage for billing and chargeback. Rows are
+// written as they are read and the writer waits for the socket to drain,
+// so exporting a month of usage does not buffer it in memory.
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Flat columns for CSV; NDJSON rows are whole log entries
+const USAGE_COLUMNS = [
+    ['timestamp', entry => entry.timestamp],
+    ['requestId', entry => entry.requestId],
+    ['userId', entry => entry.userId],
+    ['keyId', entry => entry.keyId],
+    ['team', entry => entry.team],
+    ['endpoint', entry => entry.endpoint],
+    ['provider', entry => entry.provider],
+    ['model', entry => entry.model],
+    ['modelAlias', entry => entry.modelAlias],
+    ['promptTokens', entry => entry.tokens.prompt],
+    ['completionTokens', entry => entry.tokens.completion],
+    ['totalTokens', entry => entry.tokens.total],
+    ['cachedTokens', entry => entry.tokens.cached],
+    ['cacheWriteTokens', entry => entry.tokens.cacheWrite],
+    ['audioSeconds', entry => entry.audioSeconds],
+    ['images', entry => entry.images],
+    ['characters', entry => entry.characters],
+    ['cost', entry => roundCost(entry.cost)],
+    ['unpriced', entry => entry.unpriced],
+    ['cached', entry => entry.cached],
+    ['savedCost', entry => roundCost(entry.savedCost)],
+    ['latencyMs', entry => entry.latencyMs],
+    ['upstreamLatencyMs', entry => entry.upstreamLatencyMs],
+    ['ttftMs', entry => entry.ttftMs],
+    ['status', entry => entry.status],
+    ['success', entry => entry.success],
+    ['error', entry => entry.error],
+    ['attempt', entry => entry.attempt],
+    ['retried', entry => entry.retried]
+];
+
+const INVOICE_TOTALS = [
+    'requests', 'errors', 'promptTokens', 'completionTokens', 'totalTokens', 'cachedTokens',
+    'audioSeconds', 'images', 'characters', 'cost', 'cacheHits', 'savedCost', 'unpricedRequests'
+];
+
+// Every log entry in the range, oldest first
+async function exportUsage(res, { from, to, filters, format }) {
+    startDownload(res, `usage_${fileDate(from)}_${fileDate(to)}`, format);
+
+    const entries = logger.iterateLogs({ ...filters, since: from.toISOString(), until: to.toISOString() });
+
+    if (format === 'csv') {
+        await write(res, csvLine(USAGE_COLUMNS.map(([name]) => name)));
+    }
+
+    for (const entry of entries) {
+        if (res.destroyed) return;
+        await write(res, format === 'csv'
+            ? csvLine(USAGE_COLUMNS.map(([, value]) => value(entry)))
+            : JSON.stringify(entry) + '\n');
+    }
+
+    res.end();
+}
+
+// One row per combination of the groupBy dimensions with billing totals
+async function exportInvoice(res, { from, to, groupBy, filters, format }) {
+    startDownload(res, `invoice_${fileDate(from)}_${fileDate(to)}`, format);
+
+    const rows = await logger.getInvoice({ from, to, groupBy, filters });
+    const period = { from: from.toISOString(), to: to.toISOString() };
+
+    if (format === 'csv') {
+        await write(res, csvLine(['from', 'to', ...groupBy, ...INVOICE_TOTALS]));
+    }
+
+    for (const row of rows) {
+        if (res.destroyed) return;
+
+        const invoiceRow = { ...period };
+        for (const dimension of groupBy) {
+            invoiceRow[dimension] = row[dimension];
+        }
+        for (const total of INVOICE_TOTALS) {
+            invoiceRow[total] = total === 'cost' || total === 'savedCost' ? roundCost(row[total]) : row[total] || 0;
+        }
+
+        await write(res, format === 'csv'
+            ? csvLine(Object.values(invoiceRow))
+            : JSON.stringify(invoiceRow) + '\n');
+    }
+
+    res.end();
+}
+
+function startDownload(res, name, format) {
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.${FORMATS[format].extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+}
+
+// Resolves once the chunk is buffered, waiting for 'drain' when the client
+// is slower than the database (or for 'close' when it goes away)
+function write(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+function csvLine(values) {
+    return values.map(csvValue).join(',') + '\r\n';
+}
+
+// Quotes when needed, and defuses values a spreadsheet would run as a
+// formula (user IDs and error messages come from clients)
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Float sums like 0.30000000000000004 are noise on an invoice
+function roundCost(cost) {
+    return Math.round((cost || 0) * 1e8) / 1e8;
+}
+
+function fileDate(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+module.exports = {
+    FORMATS: Object.keys(FORMATS),
+    exportUsage,
+    exportInvoice
+};
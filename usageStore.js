@@ -0,0 +1,618 @@
+// usageStore.js
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { readLogFile } = require('./logMaintenance');
+
+// SQLite-backed storage for usage log entries. Every entry goes into `usage`;
+// `usage_daily` keeps per-day rollups that the user summaries (quotas,
+// budgets, analytics) are built from, updated in the same transaction so
+// concurrent requests can no longer lose each other's updates.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        date TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        key_id TEXT,
+        team TEXT,
+        endpoint TEXT,
+        provider TEXT,
+        model TEXT,
+        model_alias TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        cached_tokens INTEGER NOT NULL DEFAULT 0,
+        cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+        audio_seconds REAL NOT NULL DEFAULT 0,
+        images INTEGER NOT NULL DEFAULT 0,
+        characters INTEGER NOT NULL DEFAULT 0,
+        cost REAL NOT NULL DEFAULT 0,
+        unpriced INTEGER NOT NULL DEFAULT 0,
+        latency_ms INTEGER,
+        upstream_latency_ms INTEGER,
+        ttft_ms INTEGER,
+        status INTEGER,
+        request_id TEXT,
+        upstream_request_id TEXT,
+        client_ip TEXT,
+        cached INTEGER NOT NULL DEFAULT 0,
+        saved_cost REAL NOT NULL DEFAULT 0,
+        success INTEGER NOT NULL DEFAULT 1,
+        error TEXT,
+        budget_exceeded TEXT,
+        attempt INTEGER NOT NULL DEFAULT 1,
+        retried INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_usage_timestamp ON usage (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_usage_user ON usage (user_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_usage_model ON usage (model, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_usage_provider ON usage (provider, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_usage_key ON usage (key_id, timestamp);
+
+    CREATE TABLE IF NOT EXISTS usage_daily (
+        date TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        key_id TEXT NOT NULL DEFAULT '',
+        endpoint TEXT NOT NULL DEFAULT '',
+        provider TEXT NOT NULL DEFAULT '',
+        model TEXT NOT NULL DEFAULT '',
+        requests INTEGER NOT NULL DEFAULT 0,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        cost REAL NOT NULL DEFAULT 0,
+        errors INTEGER NOT NULL DEFAULT 0,
+        cache_hits INTEGER NOT NULL DEFAULT 0,
+        cache_savings REAL NOT NULL DEFAULT 0,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        PRIMARY KEY (date, user_id, key_id, endpoint, provider, model)
+    );
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS imported_files (
+        file TEXT PRIMARY KEY,
+        entries INTEGER NOT NULL,
+        imported_at TEXT NOT NULL
+    );
+`;
+
+// Bucket start for each bucket size, as stored in the `bucket` column of timeseries()
+const BUCKET_EXPRESSIONS = {
+    hour: "substr(timestamp, 1, 13) || ':00:00.000Z'",
+    day: 'date',
+    // 'weekday 0' moves to the next Sunday (or stays on one); six days back is that week's Monday
+    week: "date(timestamp, 'weekday 0', '-6 days')"
+};
+
+const GROUP_COLUMNS = {
+    user: 'user_id',
+    key: 'key_id',
+    team: 'team',
+    model: 'model',
+    provider: 'provider',
+    endpoint: 'endpoint'
+};
+
+class UsageStore {
+    constructor(dbFile) {
+        this.dbFile = dbFile;
+        fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+
+        this.db = new Database(dbFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        this.migrate();
+
+        // Entries from before this moment only exist in the JSONL files (see scripts/importUsage.js)
+        this.db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)')
+            .run('live_since', new Date().toISOString());
+
+        this.insertStatement = this.db.prepare(`
+            INSERT INTO usage (
+                timestamp, date, user_id, key_id, team, endpoint, provider, model, model_alias,
+                prompt_tokens, completion_tokens, total_tokens, cached_tokens, cache_write_tokens,
+                audio_seconds, images, characters, cost, unpriced, latency_ms, upstream_latency_ms, ttft_ms,
+                status, request_id, upstream_request_id, client_ip, cached, saved_cost,
+                success, error, budget_exceeded, attempt, retried
+            ) VALUES (
+                @timestamp, @date, @userId, @keyId, @team, @endpoint, @provider, @model, @modelAlias,
+                @promptTokens, @completionTokens, @totalTokens, @cachedTokens, @cacheWriteTokens,
+                @audioSeconds, @images, @characters, @cost, @unpriced, @latencyMs, @upstreamLatencyMs, @ttftMs,
+                @status, @requestId, @upstreamRequestId, @clientIp, @cached, @savedCost,
+                @success, @error, @budgetExceeded, @attempt, @retried
+            )
+        `);
+
+        this.rollupStatement = this.db.prepare(`
+            INSERT INTO usage_daily (
+                date, user_id, key_id, endpoint, provider, model,
+                requests, tokens, cost, errors, cache_hits, cache_savings, first_seen, last_seen
+            ) VALUES (
+                @date, @userId, @rollupKeyId, @rollupEndpoint, @rollupProvider, @rollupModel,
+                1, @totalTokens, @cost, @errors, @cached, @savedCost, @timestamp, @timestamp
+            )
+            ON CONFLICT (date, user_id, key_id, endpoint, provider, model) DO UPDATE SET
+                requests = requests + 1,
+                tokens = tokens + excluded.tokens,
+                cost = cost + excluded.cost,
+                errors = errors + excluded.errors,
+                cache_hits = cache_hits + excluded.cache_hits,
+                cache_savings = cache_savings + excluded.cache_savings,
+                first_seen = MIN(first_seen, excluded.first_seen),
+                last_seen = MAX(last_seen, excluded.last_seen)
+        `);
+
+        // Retried attempts are part of one client request, so only the final one is counted
+        this.recordMany = this.db.transaction((logEntries) => {
+            for (const logEntry of logEntries) {
+                const row = toRow(logEntry);
+                this.insertStatement.run(row);
+                if (!logEntry.retried) {
+                    this.rollupStatement.run(row);
+                }
+            }
+        });
+    }
+
+    // Columns added after the first release; CREATE TABLE IF NOT EXISTS skips them on old databases
+    migrate() {
+        const added = {
+            cached_tokens: 'INTEGER NOT NULL DEFAULT 0',
+            cache_write_tokens: 'INTEGER NOT NULL DEFAULT 0',
+            audio_seconds: 'REAL NOT NULL DEFAULT 0',
+            images: 'INTEGER NOT NULL DEFAULT 0',
+            characters: 'INTEGER NOT NULL DEFAULT 0',
+            unpriced: 'INTEGER NOT NULL DEFAULT 0',
+            latency_ms: 'INTEGER',
+            upstream_latency_ms: 'INTEGER',
+            ttft_ms: 'INTEGER',
+            status: 'INTEGER',
+            request_id: 'TEXT',
+            upstream_request_id: 'TEXT',
+            client_ip: 'TEXT'
+        };
+        const existing = new Set(this.db.prepare('PRAGMA table_info(usage)').all().map(column => column.name));
+
+        for (const [column, definition] of Object.entries(added)) {
+            if (!existing.has(column)) {
+                this.db.exec(`ALTER TABLE usage ADD COLUMN ${column} ${definition}`);
+            }
+        }
+
+        // Needs request_id, so it can only be created once the column exists
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_usage_request ON usage (request_id)');
+    }
+
+    record(logEntry) {
+        this.recordMany([logEntry]);
+    }
+
+    getMeta(key) {
+        return this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value || null;
+    }
+
+    // Log entries, newest first, filtered by any of userId, keyId, team,
+    // model, provider, endpoint, requestId, success and an ISO timestamp range
+    query(filters = {}) {
+        const { where, params } = buildWhere(filters);
+
+        let sql = `SELECT * FROM usage ${where} ORDER BY timestamp DESC, id DESC`;
+        if (filters.limit) {
+            sql += ' LIMIT @limit';
+            params.limit = filters.limit;
+        }
+
+        return this.db.prepare(sql).all(params).map(fromRow);
+    }
+
+    // Number of log entries and of distinct users since an ISO timestamp
+    activity(since) {
+        const row = this.db.prepare(`
+            SELECT COUNT(*) AS requests, COUNT(DISTINCT user_id) AS users
+            FROM usage WHERE timestamp >= ?
+        `).get(since);
+        return { requests: row.requests, users: row.users };
+    }
+
+    // Log entries, oldest first, read a page at a time so exporting a month
+    // of usage never holds more than `pageSize` rows. Each page is fetched in
+    // full, so the connection is free for writes while the caller waits on
+    // a slow client between pages.
+    *iterate(filters = {}, pageSize = 1000) {
+        const { where, params } = buildWhere(filters);
+        const statement = this.db.prepare(`
+            SELECT * FROM usage ${where} ${where ? 'AND' : 'WHERE'}
+                (timestamp > @afterTimestamp OR (timestamp = @afterTimestamp AND id > @afterId))
+            ORDER BY timestamp, id
+            LIMIT @pageSize
+        `);
+
+        let after = { afterTimestamp: '', afterId: 0 };
+        while (true) {
+            const rows = statement.all({ ...params, ...after, pageSize });
+            for (const row of rows) {
+                yield fromRow(row);
+            }
+            if (rows.length < pageSize) return;
+
+            const last = rows[rows.length - 1];
+            after = { afterTimestamp: last.timestamp, afterId: last.id };
+        }
+    }
+
+    // Totals per combination of the groupBy dimensions (e.g. ['user', 'model'])
+    // for billing. Retried attempts are left out as in timeseries().
+    invoice({ since, until, groupBy, filters = {} }) {
+        const { where, params } = buildWhere({ ...filters, since, until, retried: false });
+        const columns = groupBy.map(dimension => `${GROUP_COLUMNS[dimension]} AS "${dimension}"`);
+        const groupColumns = groupBy.map(dimension => GROUP_COLUMNS[dimension]);
+
+        return this.db.prepare(`
+            SELECT ${columns.join(', ')},
+                COUNT(*) AS requests,
+                SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS errors,
+                SUM(prompt_tokens) AS promptTokens,
+                SUM(completion_tokens) AS completionTokens,
+                SUM(total_tokens) AS totalTokens,
+                SUM(cached_tokens) AS cachedTokens,
+                SUM(audio_seconds) AS audioSeconds,
+                SUM(images) AS images,
+                SUM(characters) AS characters,
+                SUM(cost) AS cost,
+                SUM(cached) AS cacheHits,
+                SUM(saved_cost) AS savedCost,
+                SUM(unpriced) AS unpricedRequests
+            FROM usage ${where}
+            GROUP BY ${groupColumns.join(', ')}
+            ORDER BY cost DESC, requests DESC
+        `).all(params);
+    }
+
+    // Requests, tokens, cost, errors and latency percentiles per time bucket
+    // (hour, day or week starting Monday, UTC), optionally split by one
+    // dimension. Retried attempts are left out: they belong to a request
+    // that is counted once.
+    timeseries({ since, until, bucket, groupBy = null, filters = {} }) {
+        const bucketExpr = BUCKET_EXPRESSIONS[bucket];
+        const groupExpr = groupBy ? GROUP_COLUMNS[groupBy] : 'NULL';
+        const { where, params } = buildWhere({ ...filters, since, until, retried: false });
+
+        const rows = this.db.prepare(`
+            SELECT ${bucketExpr} AS bucket, ${groupExpr} AS grp,
+                COUNT(*) AS requests,
+                SUM(total_tokens) AS tokens,
+                SUM(cost) AS cost,
+                SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) AS errors
+            FROM usage ${where}
+            GROUP BY bucket, grp
+        `).all(params);
+
+        // SQLite has no percentile aggregate, so latencies are ranked here
+        const latencies = new Map();
+        const latencyRows = this.db.prepare(`
+            SELECT ${bucketExpr} AS bucket, ${groupExpr} AS grp, latency_ms
+            FROM usage ${where} ${where ? 'AND' : 'WHERE'} latency_ms IS NOT NULL
+            ORDER BY latency_ms
+        `).all(params);
+        for (const row of latencyRows) {
+            const key = `${row.bucket}|${row.grp}`;
+            if (!latencies.has(key)) latencies.set(key, []);
+            latencies.get(key).push(row.latency_ms);
+        }
+
+        return rows.map(row => ({
+            bucket: row.bucket,
+            group: row.grp,
+            requests: row.requests,
+            tokens: row.tokens || 0,
+            cost: row.cost || 0,
+            errors: row.errors,
+            latencies: latencies.get(`${row.bucket}|${row.grp}`) || []
+        }));
+    }
+
+    // Per-user summaries in the shape user_summaries.json used to have
+    getUserSummaries(userId = null) {
+        const rows = userId
+            ? this.db.prepare('SELECT * FROM usage_daily WHERE user_id = ? ORDER BY date').all(userId)
+            : this.db.prepare('SELECT * FROM usage_daily ORDER BY date').all();
+
+        const summaries = {};
+        for (const row of rows) {
+            const summary = summaries[row.user_id] || (summaries[row.user_id] = {
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                totalRequests: 0,
+                totalTokens: 0,
+                totalCost: 0,
+                endpointCounts: {},
+                modelCounts: {},
+                providerCounts: {},
+                dailyUsage: {},
+                keyUsage: {}
+            });
+
+            if (row.first_seen < summary.firstSeen) summary.firstSeen = row.first_seen;
+            if (row.last_seen > summary.lastSeen) summary.lastSeen = row.last_seen;
+
+            summary.totalRequests += row.requests;
+            summary.totalTokens += row.tokens;
+            summary.totalCost += row.cost;
+
+            summary.endpointCounts[row.endpoint] = (summary.endpointCounts[row.endpoint] || 0) + row.requests;
+            summary.modelCounts[row.model] = (summary.modelCounts[row.model] || 0) + row.requests;
+            summary.providerCounts[row.provider] = (summary.providerCounts[row.provider] || 0) + row.requests;
+
+            // Per-day totals back the daily quotas and budgets
+            const day = summary.dailyUsage[row.date] || { requests: 0, tokens: 0, cost: 0 };
+            day.requests += row.requests;
+            day.tokens += row.tokens;
+            day.cost += row.cost;
+            summary.dailyUsage[row.date] = day;
+
+            // Per-key totals for the admin API
+            if (row.key_id) {
+                const keyUsage = summary.keyUsage[row.key_id] ||
+                    { requests: 0, tokens: 0, cost: 0, errors: 0, lastUsed: row.last_seen };
+                keyUsage.requests += row.requests;
+                keyUsage.tokens += row.tokens;
+                keyUsage.cost += row.cost;
+                keyUsage.errors += row.errors;
+                if (row.last_seen > keyUsage.lastUsed) keyUsage.lastUsed = row.last_seen;
+                summary.keyUsage[row.key_id] = keyUsage;
+            }
+
+            if (row.cache_hits > 0) {
+                summary.cacheHits = (summary.cacheHits || 0) + row.cache_hits;
+                summary.cacheSavings = (summary.cacheSavings || 0) + row.cache_savings;
+            }
+        }
+
+        return summaries;
+    }
+
+    // Cost on `today` and since `monthStart` (both YYYY-MM-DD), for one user
+    // or (without userId) everyone; budget checks run on every request, so
+    // this reads only the current month's rollups
+    getSpend({ today, monthStart, userId = null }) {
+        const row = this.db.prepare(`
+            SELECT
+                COALESCE(SUM(CASE WHEN date = @today THEN cost END), 0) AS daily,
+                COALESCE(SUM(cost), 0) AS monthly
+            FROM usage_daily
+            WHERE date >= @monthStart${userId === null ? '' : ' AND user_id = @userId'}
+        `).get(userId === null ? { today, monthStart } : { today, monthStart, userId });
+        return { daily: row.daily, monthly: row.monthly };
+    }
+
+    // Import one usage-YYYY-MM-DD.jsonl(.gz) file. Only entries logged before the
+    // store went live are taken, so files the JSONL sink kept writing to are
+    // not double counted; each day is imported at most once, compressed or not.
+    // A day can have both a .gz and a plain file (a late append after it was
+    // compressed), so both are read together, whichever of them is passed.
+    // allEntries takes every entry, for rebuilding a store from the files alone.
+    importJsonl(file, { allEntries = false } = {}) {
+        const name = path.basename(file).replace(/\.gz$/, '');
+        if (this.db.prepare('SELECT 1 FROM imported_files WHERE file = ?').get(name)) {
+            return { file: name, imported: 0, skipped: true };
+        }
+
+        const plainFile = path.join(path.dirname(file), name);
+        const lines = [`${plainFile}.gz`, plainFile]
+            .filter(variant => fs.existsSync(variant))
+            .flatMap(variant => readLogFile(variant).split('\n'));
+
+        const liveSince = this.getMeta('live_since');
+        const logEntries = [];
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const logEntry = JSON.parse(line);
+                if (logEntry.timestamp && (allEntries || logEntry.timestamp < liveSince)) {
+                    logEntries.push(logEntry);
+                }
+            } catch (e) {
+                // Skip invalid JSON lines
+            }
+        }
+
+        this.db.transaction(() => {
+            this.recordMany(logEntries);
+            this.db.prepare('INSERT INTO imported_files (file, entries, imported_at) VALUES (?, ?, ?)')
+                .run(name, logEntries.length, new Date().toISOString());
+        })();
+
+        return { file: name, imported: logEntries.length, skipped: false };
+    }
+
+    // Run fn in one transaction. Store calls inside it join that transaction,
+    // so if fn throws none of their changes are kept.
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    // Empty the store before a full re-import from the JSONL files
+    clear() {
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM usage; DELETE FROM usage_daily; DELETE FROM imported_files');
+        })();
+    }
+
+    // Recompute the usage_daily rollups from the raw entries, e.g. after the
+    // rollups were damaged or the entries were edited by hand. Days whose
+    // entries prune() already removed keep their rollups.
+    rebuildSummaries() {
+        return this.db.transaction(() => {
+            this.db.exec('DELETE FROM usage_daily WHERE date >= (SELECT MIN(date) FROM usage)');
+            this.db.exec(`
+                INSERT INTO usage_daily (
+                    date, user_id, key_id, endpoint, provider, model,
+                    requests, tokens, cost, errors, cache_hits, cache_savings, first_seen, last_seen
+                )
+                SELECT
+                    date, user_id, COALESCE(key_id, ''), COALESCE(endpoint, ''),
+                    COALESCE(provider, ''), COALESCE(model, ''),
+                    COUNT(*), SUM(total_tokens), SUM(cost), SUM(1 - success),
+                    SUM(cached), SUM(saved_cost), MIN(timestamp), MAX(timestamp)
+                FROM usage
+                WHERE retried = 0
+                GROUP BY 1, 2, 3, 4, 5, 6
+            `);
+            return {
+                entries: this.db.prepare('SELECT COUNT(*) AS count FROM usage WHERE retried = 0').get().count,
+                rollups: this.db.prepare('SELECT COUNT(*) AS count FROM usage_daily').get().count
+            };
+        })();
+    }
+
+    // Delete the entries of days before `cutoff` (YYYY-MM-DD) for log
+    // retention. Their usage_daily rollups stay, so user totals, quotas and
+    // budgets are unchanged; only the per-request detail goes.
+    prune(cutoff) {
+        return this.db.prepare('DELETE FROM usage WHERE date < ?').run(cutoff).changes;
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+function buildWhere({ userId, keyId, team, model, provider, endpoint, requestId, since, until, retried, success } = {}) {
+    const conditions = [];
+    const params = {};
+
+    for (const [column, value, name] of [
+        ['user_id', userId, 'userId'],
+        ['key_id', keyId, 'keyId'],
+        ['team', team, 'team'],
+        ['model', model, 'model'],
+        ['provider', provider, 'provider'],
+        ['endpoint', endpoint, 'endpoint'],
+        ['request_id', requestId, 'requestId']
+    ]) {
+        if (value) {
+            conditions.push(`${column} = @${name}`);
+            params[name] = value;
+        }
+    }
+    if (since) {
+        conditions.push('timestamp >= @since');
+        params.since = since;
+    }
+    if (until) {
+        conditions.push('timestamp < @until');
+        params.until = until;
+    }
+    if (retried !== undefined) {
+        conditions.push('retried = @retried');
+        params.retried = retried ? 1 : 0;
+    }
+    if (success !== undefined) {
+        conditions.push('success = @success');
+        params.success = success ? 1 : 0;
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+function toRow(logEntry) {
+    return {
+        timestamp: logEntry.timestamp,
+        date: logEntry.timestamp.split('T')[0],
+        userId: logEntry.userId || 'unknown',
+        keyId: logEntry.keyId || null,
+        team: logEntry.team || null,
+        endpoint: logEntry.endpoint || null,
+        provider: logEntry.provider || null,
+        model: logEntry.model || null,
+        modelAlias: logEntry.modelAlias || null,
+        promptTokens: logEntry.tokens?.prompt || 0,
+        completionTokens: logEntry.tokens?.completion || 0,
+        totalTokens: logEntry.tokens?.total || 0,
+        cachedTokens: logEntry.tokens?.cached || 0,
+        cacheWriteTokens: logEntry.tokens?.cacheWrite || 0,
+        audioSeconds: logEntry.audioSeconds || 0,
+        images: logEntry.images || 0,
+        characters: logEntry.characters || 0,
+        cost: logEntry.cost || 0,
+        unpriced: logEntry.unpriced ? 1 : 0,
+        latencyMs: toMilliseconds(logEntry.latencyMs),
+        upstreamLatencyMs: toMilliseconds(logEntry.upstreamLatencyMs),
+        ttftMs: toMilliseconds(logEntry.ttftMs),
+        status: Number.isInteger(logEntry.status) ? logEntry.status : null,
+        requestId: logEntry.requestId || null,
+        upstreamRequestId: logEntry.upstreamRequestId || null,
+        clientIp: logEntry.clientIp || null,
+        cached: logEntry.cached ? 1 : 0,
+        savedCost: logEntry.savedCost || 0,
+        success: logEntry.success === false ? 0 : 1,
+        errors: logEntry.success === false ? 1 : 0,
+        error: logEntry.error || null,
+        budgetExceeded: logEntry.budgetExceeded ? JSON.stringify(logEntry.budgetExceeded) : null,
+        attempt: logEntry.attempt || 1,
+        retried: logEntry.retried ? 1 : 0,
+        // NOT NULL rollup key columns
+        rollupKeyId: logEntry.keyId || '',
+        rollupEndpoint: logEntry.endpoint || '',
+        rollupProvider: logEntry.provider || '',
+        rollupModel: logEntry.model || ''
+    };
+}
+
+function toMilliseconds(value) {
+    return Number.isFinite(value) ? Math.round(value) : null;
+}
+
+// Back to the log entry shape UsageLogger writes to JSONL
+function fromRow(row) {
+    return {
+        timestamp: row.timestamp,
+        userId: row.user_id,
+        keyId: row.key_id,
+        team: row.team,
+        endpoint: row.endpoint,
+        provider: row.provider,
+        model: row.model,
+        modelAlias: row.model_alias,
+        tokens: {
+            prompt: row.prompt_tokens,
+            completion: row.completion_tokens,
+            total: row.total_tokens,
+            cached: row.cached_tokens,
+            cacheWrite: row.cache_write_tokens
+        },
+        audioSeconds: row.audio_seconds,
+        images: row.images,
+        characters: row.characters,
+        cost: row.cost,
+        unpriced: !!row.unpriced,
+        latencyMs: row.latency_ms,
+        upstreamLatencyMs: row.upstream_latency_ms,
+        ttftMs: row.ttft_ms,
+        status: row.status,
+        requestId: row.request_id,
+        upstreamRequestId: row.upstream_request_id,
+        clientIp: row.client_ip,
+        cached: !!row.cached,
+        savedCost: row.saved_cost,
+        success: !!row.success,
+        error: row.error,
+        budgetExceeded: row.budget_exceeded ? JSON.parse(row.budget_exceeded) : null,
+        attempt: row.attempt,
+        retried: !!row.retried
+    };
+}
+
+UsageStore.BUCKETS = Object.keys(BUCKET_EXPRESSIONS);
+UsageStore.GROUP_BY = Object.keys(GROUP_COLUMNS);
+
+module.exports = UsageStore;